@@ -1,39 +1,273 @@
 import {
+  ACTIVE_BYPASSES_KEY,
+  ACTIVE_HIDE_ENTRIES_KEY,
+  ALLOWLIST_MODE_KEY,
   BLOCKED_ENTRIES_KEY,
   BLOCK_LOGS_KEY,
+  BYPASS_LOG_KEY,
+  DAILY_RESET_TIME_KEY,
+  DAILY_USAGE_KEY,
+  ENTRY_ACTIONS,
+  FOCUS_SESSION_KEY,
+  INTENTION_LOG_KEY,
+  INTERSTITIAL_PASSES_KEY,
+  MASTER_PIN_HASH_KEY,
   MAX_RECENT_BLOCKED_SITES,
+  PAUSE_DELAY_CHANGE_KEY,
+  PAUSE_DELAY_SECONDS_KEY,
+  PAUSE_STATE_KEY,
+  PIN_ATTEMPTS_KEY,
+  RECOVERY_CODE_HASHES_KEY,
+  RULE_GROUPS_KEY,
+  RULE_ID_ALLOCATION_KEY,
   RULE_ID_TO_ENTRY_KEY,
+  RULE_STATUS_KEY,
+  TAMPER_LOG_KEY,
+  UNBLOCK_CHALLENGES_KEY,
+  entryKeyFromEntry,
+  entryMatchesUrl,
   filterActiveEntries,
-  buildRuleIdToEntryKeyMap,
-  buildDynamicRules,
-  normalizeEntries
+  filterEnforcedEntries,
+  getNextEntryTransition,
+  isAllowlistModeActive,
+  isEntryInEffect,
+  normalizeAllowlistMode,
+  buildRulePlan,
+  diffRules,
+  normalizeEntries,
+  validateRule
 } from "./src/rule-builder.js";
+import {
+  getBudgetRemainingMs,
+  getNextDailyReset,
+  getUsageDayKey,
+  getVisitsRemaining,
+  hasDailyAllowance,
+  isNewVisit,
+  normalizeDailyUsage,
+  normalizeResetTime
+} from "./src/usage.js";
+import {
+  FOCUS_PHASES,
+  advanceFocusSession,
+  formatFocusBadgeText,
+  normalizeFocusSession
+} from "./src/focus-session.js";
+import {
+  PAUSE_DURATION_MINUTES,
+  createPauseState,
+  isPauseActive,
+  isPausePending,
+  isValidPauseDelaySeconds,
+  normalizePauseDelayChange,
+  normalizePauseDelaySeconds,
+  normalizePauseState
+} from "./src/pause.js";
+import {
+  ENTRY_COMMANDS,
+  addEntry,
+  extendEntry,
+  rejectCommand,
+  removeEntry,
+  updateEntry
+} from "./src/entry-commands.js";
+import {
+  createPinRecord,
+  formatLockoutTime,
+  generateRecoveryCodes,
+  getPinLockoutRemainingMs,
+  hashRecoveryCode,
+  isValidSixDigitPin,
+  normalizePinAttempts,
+  normalizePinRecord,
+  recordPinFailure,
+  verifyPinRecord
+} from "./src/pin.js";
+import {
+  MAX_TAMPER_LOG_ITEMS,
+  TAMPER_REASONS,
+  findGroupViolations,
+  findProtectionViolations,
+  restoreProtectedEntries,
+  restoreProtectedGroups
+} from "./src/protection.js";
+import {
+  expireRuleGroups,
+  getGroupChallengeScope,
+  groupKey,
+  isEntryGroupEnabled,
+  normalizeGroupName,
+  normalizeRuleGroups,
+  replaceRuleGroup
+} from "./src/groups.js";
+import {
+  CHALLENGE_TYPES,
+  PAUSE_CHALLENGE_SCOPE,
+  checkChallengeAnswer,
+  createChallengeRecord,
+  pruneChallengeRecords
+} from "./src/challenge.js";
+import {
+  BYPASS_DURATION_MINUTES,
+  BYPASS_WAIT_SECONDS,
+  MAX_BYPASS_LOG_ITEMS,
+  findBypassBlocker,
+  getBypassChallengeScope,
+  getBypassSite,
+  normalizeActiveBypasses,
+  normalizeBypassReason
+} from "./src/bypass.js";
+import { INTERSTITIAL_MODE, findBlockingEntry } from "./src/block-page.js";
+import {
+  getInterstitialChallengeScope,
+  getInterstitialPassKey,
+  getInterstitialSeconds,
+  normalizeIntention,
+  normalizeInterstitialPasses,
+  recordIntention
+} from "./src/interstitial.js";
 
-const EXPIRY_ALARM_NAME = "rule-expiry-sync";
-let expiryTimeoutId = null;
+const TRANSITION_ALARM_NAME = "rule-transition-sync";
+let transitionTimeoutId = null;
+
+/**
+ * Storage keys whose changes affect which rules are compiled.
+ */
+const SYNC_TRIGGER_KEYS = [
+  BLOCKED_ENTRIES_KEY,
+  ALLOWLIST_MODE_KEY,
+  DAILY_RESET_TIME_KEY,
+  FOCUS_SESSION_KEY,
+  RULE_GROUPS_KEY,
+  PAUSE_STATE_KEY,
+  PAUSE_DELAY_CHANGE_KEY
+];
 
 /**
- * Replace all dynamic block rules with the rules derived from storage.
- * This keeps rule state deterministic and easy to reason about.
+ * Foreground time tracking for budgeted rules. The tracked tab lives in session
+ * storage so a restarted worker can still credit the time spent before it died.
  */
-async function syncRulesFromStorage() {
-  const storage = await chrome.storage.local.get([BLOCKED_ENTRIES_KEY, BLOCK_LOGS_KEY]);
+const BUDGET_TICK_ALARM_NAME = "budget-usage-tick";
+const FOREGROUND_TRACKING_KEY = "foregroundTracking";
+const IDLE_DETECTION_SECONDS = 300;
+// Cap a single credit so missed events (sleep, crashes) cannot drain a whole budget.
+const MAX_FOREGROUND_CREDIT_MS = 2 * 60 * 1000;
+let budgetTimeoutId = null;
+
+/**
+ * Focus session phase changes ride on the transition alarm; this periodic alarm
+ * only keeps the minutes-left badge current.
+ */
+const FOCUS_BADGE_ALARM_NAME = "focus-badge-tick";
+const FOCUS_BADGE_COLORS = {
+  [FOCUS_PHASES.WORK]: "#cb2d3e",
+  [FOCUS_PHASES.BREAK]: "#0f7a45"
+};
+
+/**
+ * Storage events, alarms and usage updates can all ask for a sync at once; run them
+ * one after another so two syncs never diff against the same installed rules.
+ */
+let ruleSyncQueue = Promise.resolve();
+
+function syncRulesFromStorage() {
+  const sync = ruleSyncQueue.then(() => applyRulesFromStorage());
+  ruleSyncQueue = sync.catch(() => {});
+  return sync;
+}
+
+/**
+ * Bring dynamic and session rules in line with the rules derived from storage.
+ * Each unit keeps its rule IDs across syncs, so only changed rules are touched and
+ * match events never resolve to a renumbered rule.
+ */
+async function applyRulesFromStorage() {
+  const nowMs = Date.now();
+  const storage = await chrome.storage.local.get([
+    BLOCKED_ENTRIES_KEY,
+    BLOCK_LOGS_KEY,
+    ALLOWLIST_MODE_KEY,
+    DAILY_USAGE_KEY,
+    DAILY_RESET_TIME_KEY,
+    FOCUS_SESSION_KEY,
+    RULE_GROUPS_KEY,
+    PAUSE_STATE_KEY,
+    PAUSE_DELAY_CHANGE_KEY,
+    RULE_ID_ALLOCATION_KEY
+  ]);
   const entries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]);
-  const activeEntries = filterActiveEntries(entries);
+  const activeEntries = filterActiveEntries(entries, nowMs);
   const hasExpiredEntries = activeEntries.length !== entries.length;
 
-  const nextRules = buildDynamicRules(activeEntries);
-  const ruleIdToEntryKey = buildRuleIdToEntryKeyMap(activeEntries);
-  const activeEntryKeys = new Set(Object.values(ruleIdToEntryKey));
+  // "Continue anyway" bypasses and interstitial passes compile to session-only allow
+  // rules. Syncs only read them, so a sync never drops one granted meanwhile.
+  const sessionStorage = await chrome.storage.session.get([ACTIVE_BYPASSES_KEY, INTERSTITIAL_PASSES_KEY]);
+  const bypasses = normalizeActiveBypasses(sessionStorage[ACTIVE_BYPASSES_KEY], nowMs);
+  const interstitialPasses = normalizeInterstitialPasses(sessionStorage[INTERSTITIAL_PASSES_KEY]);
+
+  // A pause lifts allowlist mode and every entry except PIN-protected ones (unless the
+  // pause was started with the PIN) once its countdown is over. It is cleared once it
+  // has run out.
+  const pauseState = normalizePauseState(storage[PAUSE_STATE_KEY]);
+  const isPaused = isPauseActive(pauseState, nowMs);
+  const isPauseWaiting = isPausePending(pauseState, nowMs);
+  const pauseDelayChange = normalizePauseDelayChange(storage[PAUSE_DELAY_CHANGE_KEY]);
+  const isPauseDelayChangeDue = pauseDelayChange && Date.parse(pauseDelayChange.appliesAt) <= nowMs;
+
+  const allowlistMode = normalizeAllowlistMode(storage[ALLOWLIST_MODE_KEY]);
+  const isAllowlistActive = isAllowlistModeActive(allowlistMode, nowMs);
+  const hasExpiredAllowlistMode = allowlistMode.enabled && !isAllowlistActive;
+
+  const resetTime = normalizeResetTime(storage[DAILY_RESET_TIME_KEY]);
+  const usage = normalizeDailyUsage(storage[DAILY_USAGE_KEY], getUsageDayKey(nowMs, resetTime));
+  const hasBudgetedEntries = activeEntries.some((entry) => entry.dailyBudgetMinutes);
+  const hasDailyAllowanceEntries = activeEntries.some((entry) => hasDailyAllowance(entry));
 
-  const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-  const removeRuleIds = existingRules.map((rule) => rule.id);
+  const storedFocusSession = normalizeFocusSession(storage[FOCUS_SESSION_KEY]);
+  const focusSession = advanceFocusSession(storedFocusSession, nowMs);
+  const hasFocusPhaseChanged = storedFocusSession?.phaseEndsAt !== focusSession?.phaseEndsAt;
 
-  await chrome.declarativeNetRequest.updateDynamicRules({
-    removeRuleIds,
-    addRules: nextRules
+  // Scheduled entries outside their window, budgeted/visit-limited entries with
+  // allowance left, and focus entries on a break stay stored but compile to no rules.
+  const enforcedEntries = filterEnforcedEntries(activeEntries, nowMs, {
+    usage,
+    focusSession,
+    pauseState
   });
 
+  // Timed groups switch themselves off; entries in switched-off groups compile to nothing.
+  const storedGroups = normalizeRuleGroups(storage[RULE_GROUPS_KEY]);
+  const groups = expireRuleGroups(storedGroups, nowMs);
+  const ruleOptions = {
+    allowlistMode: isAllowlistActive && !isPaused ? allowlistMode : null,
+    groups,
+    ruleIdAllocation: storage[RULE_ID_ALLOCATION_KEY],
+    storedEntries: activeEntries,
+    blockPageUrl: chrome.runtime.getURL("blocked.html"),
+    bypassSites: Object.keys(bypasses),
+    interstitialPasses: Object.values(interstitialPasses)
+  };
+  // Rules past the dynamic limit spill into session rules; whatever fits neither is
+  // reported so the popup can flag those entries instead of dropping them silently.
+  const rulePlan = buildRulePlan(enforcedEntries, ruleOptions);
+  const activeEntryKeys = new Set(activeEntries.map((entry) => entryKeyFromEntry(entry)));
+
+  const installedRules = await chrome.declarativeNetRequest.getDynamicRules();
+  const installedSessionRules = await chrome.declarativeNetRequest.getSessionRules();
+  const dynamicUpdate = diffRules(installedRules, rulePlan.dynamicRules);
+  const sessionUpdate = diffRules(installedSessionRules, rulePlan.sessionRules);
+
+  // Each call applies removals and additions atomically, so a changed rule is never
+  // briefly missing. Dynamic and session rule IDs live in separate rulesets.
+  const dynamicFailures = await applyRuleUpdate(
+    (update) => chrome.declarativeNetRequest.updateDynamicRules(update),
+    dynamicUpdate
+  );
+  const sessionFailures = await applyRuleUpdate(
+    (update) => chrome.declarativeNetRequest.updateSessionRules(update),
+    sessionUpdate
+  );
+
   // Keep mapping + logs coherent with the latest active rule set.
   const currentLogs = ensureLogObject(storage[BLOCK_LOGS_KEY]);
   const prunedLogs = Object.fromEntries(
@@ -41,16 +275,918 @@ async function syncRulesFromStorage() {
   );
 
   const nextStorage = {
-    [RULE_ID_TO_ENTRY_KEY]: ruleIdToEntryKey,
-    [BLOCK_LOGS_KEY]: prunedLogs
+    [RULE_ID_TO_ENTRY_KEY]: rulePlan.ruleIdToEntryKey,
+    [RULE_ID_ALLOCATION_KEY]: rulePlan.ruleIdAllocation,
+    [RULE_STATUS_KEY]: {
+      dynamicRuleCount: rulePlan.dynamicRules.length - dynamicFailures.length,
+      sessionRuleCount: rulePlan.sessionRules.length - sessionFailures.length,
+      unenforced: rulePlan.unenforced,
+      errors: mapRuleFailuresToEntries([...dynamicFailures, ...sessionFailures], rulePlan.ruleIdToEntryKey)
+    },
+    [BLOCK_LOGS_KEY]: prunedLogs,
+    [ACTIVE_HIDE_ENTRIES_KEY]: enforcedEntries.filter(
+      (entry) => entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS && isEntryGroupEnabled(entry, groups)
+    )
   };
 
-  if (hasExpiredEntries) {
-    nextStorage[BLOCKED_ENTRIES_KEY] = activeEntries;
+  // A timed allowlist mode turns itself off but keeps the domain list for next time.
+  if (hasExpiredAllowlistMode) {
+    nextStorage[ALLOWLIST_MODE_KEY] = { enabled: false, domains: allowlistMode.domains };
+  }
+
+  if (pauseState && !isPaused && !isPauseWaiting) {
+    nextStorage[PAUSE_STATE_KEY] = null;
+  }
+
+  if (isPauseDelayChangeDue) {
+    nextStorage[PAUSE_DELAY_CHANGE_KEY] = null;
+  }
+
+  if (groups !== storedGroups) {
+    nextStorage[RULE_GROUPS_KEY] = groups;
+  }
+
+  if (hasFocusPhaseChanged) {
+    nextStorage[FOCUS_SESSION_KEY] = focusSession;
   }
 
   await chrome.storage.local.set(nextStorage);
-  await scheduleNextExpiry(activeEntries);
+  if (isPauseDelayChangeDue) {
+    await writeOwnValue(PAUSE_DELAY_SECONDS_KEY, pauseDelayChange.seconds, ownPauseDelayWrites);
+  }
+
+  // Pruning goes through the entry queue, which re-reads storage, so a command
+  // that landed during this sync is not overwritten by the entries read above.
+  if (hasExpiredEntries) {
+    await mutateEntries((currentEntries) => ({ entries: currentEntries, response: { ok: true } }));
+  }
+
+  await scheduleNextTransition([
+    focusSession ? Date.parse(focusSession.phaseEndsAt) : null,
+    isPaused ? Date.parse(pauseState.until) : null,
+    isPauseWaiting ? Date.parse(pauseState.startsAt) : null,
+    pauseDelayChange && !isPauseDelayChangeDue ? Date.parse(pauseDelayChange.appliesAt) : null,
+    ...groups.map((group) => Date.parse(group.expiresAt ?? "")),
+    ...activeEntries.map((entry) => getNextEntryTransition(entry, nowMs)),
+    isAllowlistActive ? Date.parse(allowlistMode.expiresAt ?? "") : null,
+    hasDailyAllowanceEntries ? getNextDailyReset(nowMs, resetTime) : null,
+    ...Object.values(bypasses).map((bypass) => Date.parse(bypass.expiresAt))
+  ]);
+  await updateBudgetTicker(hasBudgetedEntries);
+  await updateFocusBadge(focusSession);
+}
+
+/**
+ * Every write to blockedEntries goes through this queue. Each mutation re-reads the
+ * stored entries (dropping expired ones) and writes its result before the next one
+ * runs, so commands from several pages cannot overwrite each other.
+ */
+let entryWriteQueue = Promise.resolve();
+
+/**
+ * Fingerprints of entry lists this worker wrote. Only these writes passed the
+ * PIN checks in the command handlers; any other write is checked for tampering.
+ * Kept in memory so no extension page can read or forge them.
+ */
+const ownEntryWrites = new Set();
+
+function mutateEntries(mutation) {
+  const run = entryWriteQueue.then(async () => {
+    const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
+    const storedEntries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]);
+    const result = await mutation(filterActiveEntries(storedEntries));
+
+    const nextEntries = result.entries ? normalizeEntries(result.entries) : null;
+    const fingerprint = JSON.stringify(nextEntries);
+
+    // Chrome fires no change event for an identical value, so skip the write; a
+    // fingerprint that is never consumed could later approve someone else's write.
+    if (nextEntries && fingerprint !== JSON.stringify(storedEntries)) {
+      ownEntryWrites.add(fingerprint);
+      try {
+        await chrome.storage.local.set({ [BLOCKED_ENTRIES_KEY]: nextEntries });
+      } catch (error) {
+        ownEntryWrites.delete(fingerprint);
+        throw error;
+      }
+    }
+    return result.response;
+  });
+  entryWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Undo writes from outside the background (another extension page, the devtools
+ * console) that drop or weaken protected or locked entries, switch off their group,
+ * start a pause or shorten its waiting time, and record each attempt.
+ */
+let protectionCheckQueue = Promise.resolve();
+
+function enqueueProtectionCheck(guard, change) {
+  protectionCheckQueue = protectionCheckQueue
+    .then(() => guard(change))
+    .catch((error) => console.error("Failed to check protected entries", error));
+}
+
+/**
+ * Fingerprints of group lists, pause states and pause waiting times (and changes to
+ * them) this worker wrote, like ownEntryWrites.
+ */
+const ownGroupWrites = new Set();
+const ownPauseWrites = new Set();
+const ownPauseDelayWrites = new Set();
+
+async function writeOwnValue(key, value, ownWrites) {
+  const fingerprint = JSON.stringify(value);
+  ownWrites.add(fingerprint);
+  try {
+    await chrome.storage.local.set({ [key]: value });
+  } catch (error) {
+    ownWrites.delete(fingerprint);
+    throw error;
+  }
+}
+
+async function guardProtectedEntries(change) {
+  const nextEntries = normalizeEntries(change.newValue);
+  if (ownEntryWrites.delete(JSON.stringify(nextEntries))) {
+    return;
+  }
+
+  const violations = findProtectionViolations(normalizeEntries(change.oldValue), nextEntries);
+  if (violations.length === 0) {
+    return;
+  }
+
+  await mutateEntries((entries) => ({
+    entries: restoreProtectedEntries(entries, violations),
+    response: { ok: true }
+  }));
+  await recordTamperAttempts(violations);
+}
+
+async function guardRuleGroups(change) {
+  const nextGroups = normalizeRuleGroups(change.newValue);
+  if (ownGroupWrites.delete(JSON.stringify(nextGroups))) {
+    return;
+  }
+
+  const previousGroups = normalizeRuleGroups(change.oldValue);
+  const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
+  const entries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]);
+  const violations = findGroupViolations(previousGroups, nextGroups, entries);
+  if (violations.length === 0) {
+    return;
+  }
+
+  const restoredGroups = normalizeRuleGroups(restoreProtectedGroups(nextGroups, previousGroups, violations));
+  await writeOwnValue(RULE_GROUPS_KEY, restoredGroups, ownGroupWrites);
+  await recordTamperAttempts(violations);
+}
+
+// Only the "pause/start" command starts pauses; ending one early is always fine.
+async function guardPauseState(change) {
+  const nextPauseState = normalizePauseState(change.newValue);
+  if (!nextPauseState || ownPauseWrites.delete(JSON.stringify(nextPauseState))) {
+    return;
+  }
+
+  const previousPauseState = normalizePauseState(change.oldValue);
+  if (previousPauseState) {
+    await writeOwnValue(PAUSE_STATE_KEY, previousPauseState, ownPauseWrites);
+  } else {
+    await chrome.storage.local.set({ [PAUSE_STATE_KEY]: null });
+  }
+  await recordTamperAttempts([{ entryKey: PAUSE_STATE_KEY, reason: TAMPER_REASONS.PAUSED }]);
+}
+
+// Only "pause/delay" lowers the waiting time, once the current wait has passed; a
+// longer wait is always fine.
+async function guardPauseDelaySeconds(change) {
+  const previousSeconds = normalizePauseDelaySeconds(change.oldValue);
+  const isOwnWrite = ownPauseDelayWrites.delete(JSON.stringify(change.newValue ?? null));
+  if (isOwnWrite || normalizePauseDelaySeconds(change.newValue) >= previousSeconds) {
+    return;
+  }
+
+  await writeOwnValue(PAUSE_DELAY_SECONDS_KEY, previousSeconds, ownPauseDelayWrites);
+  await recordTamperAttempts([{ entryKey: PAUSE_DELAY_SECONDS_KEY, reason: TAMPER_REASONS.SHORTENED }]);
+}
+
+// A pending change is the same shortcut with a due date; dropping one is always fine.
+async function guardPauseDelayChange(change) {
+  const nextChange = normalizePauseDelayChange(change.newValue);
+  if (!nextChange || ownPauseDelayWrites.delete(JSON.stringify(nextChange))) {
+    return;
+  }
+
+  const previousChange = normalizePauseDelayChange(change.oldValue);
+  if (previousChange) {
+    await writeOwnValue(PAUSE_DELAY_CHANGE_KEY, previousChange, ownPauseDelayWrites);
+  } else {
+    await chrome.storage.local.set({ [PAUSE_DELAY_CHANGE_KEY]: null });
+  }
+  await recordTamperAttempts([{ entryKey: PAUSE_DELAY_CHANGE_KEY, reason: TAMPER_REASONS.SHORTENED }]);
+}
+
+async function recordTamperAttempts(violations) {
+  const storage = await chrome.storage.local.get(TAMPER_LOG_KEY);
+  const tamperLog = Array.isArray(storage[TAMPER_LOG_KEY]) ? storage[TAMPER_LOG_KEY] : [];
+  const at = new Date().toISOString();
+  const attempts = violations.map(({ entryKey, reason }) => ({ at, entryKey, reason }));
+  await chrome.storage.local.set({
+    [TAMPER_LOG_KEY]: [...attempts, ...tamperLog].slice(0, MAX_TAMPER_LOG_ITEMS)
+  });
+  console.warn("Undid an unauthorized change to protected rules", attempts);
+}
+
+/**
+ * Read the PIN record, migrating an old unsalted SHA-256 value in place.
+ */
+async function getPinRecord() {
+  const storage = await chrome.storage.local.get(MASTER_PIN_HASH_KEY);
+  const rawRecord = storage[MASTER_PIN_HASH_KEY];
+  const record = await normalizePinRecord(rawRecord);
+
+  if (record && typeof rawRecord === "string") {
+    await chrome.storage.local.set({ [MASTER_PIN_HASH_KEY]: record });
+  }
+  return record;
+}
+
+function normalizeRecoveryCodeHashes(rawHashes) {
+  return Array.isArray(rawHashes) ? rawHashes.filter((hash) => typeof hash === "string") : [];
+}
+
+/**
+ * PIN and challenge checks run one at a time so parallel guesses cannot slip past
+ * the lockout and a completed challenge cannot be used twice.
+ */
+let pinTaskQueue = Promise.resolve();
+
+function runPinTask(task) {
+  const run = pinTaskQueue.then(task);
+  pinTaskQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check the master PIN or a one-time recovery code (which is used up).
+ * Returns "" when accepted, otherwise the error to show.
+ */
+function checkPin(credentials) {
+  return runPinTask(() => checkPinNow(credentials));
+}
+
+// Only call from inside runPinTask.
+async function checkPinNow({ pin, recoveryCode }) {
+  const nowMs = Date.now();
+  const storage = await chrome.storage.local.get([PIN_ATTEMPTS_KEY, RECOVERY_CODE_HASHES_KEY]);
+  const attempts = normalizePinAttempts(storage[PIN_ATTEMPTS_KEY]);
+  const lockoutMs = getPinLockoutRemainingMs(attempts, nowMs);
+  if (lockoutMs > 0) {
+    return `Too many wrong attempts. Try again in ${formatLockoutTime(lockoutMs)}.`;
+  }
+
+  if (recoveryCode) {
+    const codeHash = await hashRecoveryCode(recoveryCode);
+    const codeHashes = normalizeRecoveryCodeHashes(storage[RECOVERY_CODE_HASHES_KEY]);
+    if (codeHashes.includes(codeHash)) {
+      await chrome.storage.local.set({
+        [RECOVERY_CODE_HASHES_KEY]: codeHashes.filter((hash) => hash !== codeHash),
+        [PIN_ATTEMPTS_KEY]: { failures: 0 }
+      });
+      return "";
+    }
+  } else if (isValidSixDigitPin(pin)) {
+    const record = await getPinRecord();
+    if (await verifyPinRecord(pin, record)) {
+      const nextStorage = { [PIN_ATTEMPTS_KEY]: { failures: 0 } };
+      // Migrated records finish upgrading once the real PIN is known.
+      if (record.legacySha256) {
+        nextStorage[MASTER_PIN_HASH_KEY] = await createPinRecord(pin);
+      }
+      await chrome.storage.local.set(nextStorage);
+      return "";
+    }
+  } else {
+    return "Enter your 6-digit PIN or a recovery code.";
+  }
+
+  const nextAttempts = recordPinFailure(attempts, nowMs);
+  await chrome.storage.local.set({ [PIN_ATTEMPTS_KEY]: nextAttempts });
+  const nextLockoutMs = getPinLockoutRemainingMs(nextAttempts, nowMs);
+  return nextLockoutMs > 0
+    ? `Incorrect PIN or recovery code. Locked for ${formatLockoutTime(nextLockoutMs)}.`
+    : "Incorrect PIN or recovery code.";
+}
+
+/**
+ * Save a new master PIN. Replacing an existing one needs the current PIN or a
+ * recovery code. Recovery codes are generated when none are left (first PIN, or
+ * all used up) and returned once; only their digests are stored.
+ */
+function setMasterPin({ pin, currentPin, recoveryCode }) {
+  return runPinTask(async () => {
+    if (!isValidSixDigitPin(pin)) {
+      return { ok: false, error: "New PIN must be exactly 6 digits." };
+    }
+
+    if (await getPinRecord()) {
+      const pinError = await checkPinNow({ pin: currentPin, recoveryCode });
+      if (pinError) {
+        return { ok: false, error: pinError, pinRequired: true };
+      }
+    }
+
+    const storage = await chrome.storage.local.get(RECOVERY_CODE_HASHES_KEY);
+    const codeHashes = normalizeRecoveryCodeHashes(storage[RECOVERY_CODE_HASHES_KEY]);
+    const nextStorage = {
+      [MASTER_PIN_HASH_KEY]: await createPinRecord(pin),
+      [PIN_ATTEMPTS_KEY]: { failures: 0 }
+    };
+
+    let recoveryCodes = [];
+    if (codeHashes.length === 0) {
+      recoveryCodes = generateRecoveryCodes();
+      nextStorage[RECOVERY_CODE_HASHES_KEY] = await Promise.all(recoveryCodes.map(hashRecoveryCode));
+    }
+
+    await chrome.storage.local.set(nextStorage);
+    return { ok: true, recoveryCodes };
+  });
+}
+
+/**
+ * Issue a challenge for one entry (`entryKey`), for switching off a group's entries
+ * (`groupName`) or, without either, for a pause that also lifts every active entry
+ * with a challenge.
+ */
+function startChallenge({ entryKey, groupName }) {
+  return runPinTask(async () => {
+    const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
+    const isCovered = (entry) => {
+      if (entryKey) {
+        return entryKeyFromEntry(entry) === entryKey;
+      }
+      return !groupName || (Boolean(entry.group) && groupKey(entry.group) === groupKey(groupName));
+    };
+    const challengedEntries = filterActiveEntries(storage[BLOCKED_ENTRIES_KEY]).filter(
+      (entry) => entry.unblockChallenge && isCovered(entry)
+    );
+    if (challengedEntries.length === 0) {
+      const error = entryKey ? "This rule has no unblock challenge." : "No rules use an unblock challenge.";
+      return rejectCommand(error).response;
+    }
+
+    const scope = entryKey || (groupName ? getGroupChallengeScope(groupName) : PAUSE_CHALLENGE_SCOPE);
+    const challenge = await issueChallenge(scope, challengedEntries.map((entry) => entry.unblockChallenge));
+    return { ok: true, challenge };
+  });
+}
+
+/**
+ * Store a new challenge record; only call this from inside runPinTask.
+ */
+async function issueChallenge(scope, entryChallenges) {
+  const nowMs = Date.now();
+  const record = createChallengeRecord(scope, entryChallenges, nowMs);
+  const sessionStorage = await chrome.storage.session.get(UNBLOCK_CHALLENGES_KEY);
+  const records = pruneChallengeRecords(sessionStorage[UNBLOCK_CHALLENGES_KEY], nowMs);
+  await chrome.storage.session.set({ [UNBLOCK_CHALLENGES_KEY]: { ...records, [record.id]: record } });
+
+  const { id, passage = null, readyAt = null } = record;
+  return { id, passage, readyAt };
+}
+
+/**
+ * Check a challenge issued for `scope`; it is used up once completed.
+ * Returns "" when accepted, otherwise the error to show.
+ */
+function checkChallenge({ challengeId, challengeAnswer }, scope) {
+  return runPinTask(async () => {
+    if (!challengeId) {
+      return "Complete the unblock challenge first.";
+    }
+
+    const nowMs = Date.now();
+    const sessionStorage = await chrome.storage.session.get(UNBLOCK_CHALLENGES_KEY);
+    const records = pruneChallengeRecords(sessionStorage[UNBLOCK_CHALLENGES_KEY], nowMs);
+    const record = records[challengeId];
+    if (record && record.scope !== scope) {
+      return "This challenge was issued for something else.";
+    }
+
+    const error = checkChallengeAnswer(record, challengeAnswer, nowMs);
+    if (!error) {
+      delete records[challengeId];
+    }
+    await chrome.storage.session.set({ [UNBLOCK_CHALLENGES_KEY]: records });
+    return error;
+  });
+}
+
+/**
+ * Start the cooling-off countdown for a "continue anyway" on the blocked `url`. It is
+ * a countdown challenge scoped to the site, so grantBypass can check it like any other.
+ */
+async function startBypass({ url }) {
+  const error = await getBypassError(url);
+  if (error) {
+    return rejectCommand(error).response;
+  }
+
+  const scope = getBypassChallengeScope(getBypassSite(url));
+  const challenge = await runPinTask(() =>
+    issueChallenge(scope, [{ type: CHALLENGE_TYPES.COUNTDOWN, seconds: BYPASS_WAIT_SECONDS }])
+  );
+  return { ok: true, challenge };
+}
+
+/**
+ * Open the blocked site for a few minutes once its countdown has run out, log the
+ * bypass with the user's reason, and wait for the allow rule to be installed.
+ */
+async function grantBypass({ url, challengeId, reason }) {
+  const error = await getBypassError(url);
+  if (error) {
+    return rejectCommand(error).response;
+  }
+
+  const site = getBypassSite(url);
+  const challengeError = await checkChallenge({ challengeId }, getBypassChallengeScope(site));
+  if (challengeError) {
+    return { ok: false, error: challengeError, challengeRequired: true };
+  }
+
+  const expiresAt = await runPinTask(async () => {
+    const nowMs = Date.now();
+    const bypass = { site, expiresAt: new Date(nowMs + BYPASS_DURATION_MINUTES * 60 * 1000).toISOString() };
+    const sessionStorage = await chrome.storage.session.get(ACTIVE_BYPASSES_KEY);
+    const bypasses = normalizeActiveBypasses(sessionStorage[ACTIVE_BYPASSES_KEY], nowMs);
+    await chrome.storage.session.set({ [ACTIVE_BYPASSES_KEY]: { ...bypasses, [site]: bypass } });
+
+    const storage = await chrome.storage.local.get([BLOCKED_ENTRIES_KEY, BYPASS_LOG_KEY]);
+    const blockingEntry = findBlockingEntry(filterActiveEntries(storage[BLOCKED_ENTRIES_KEY], nowMs), {
+      blockedUrl: url
+    });
+    const logItem = {
+      site,
+      url,
+      entryKey: blockingEntry ? entryKeyFromEntry(blockingEntry) : null,
+      reason: normalizeBypassReason(reason),
+      at: new Date(nowMs).toISOString(),
+      expiresAt: bypass.expiresAt
+    };
+    const bypassLog = Array.isArray(storage[BYPASS_LOG_KEY]) ? storage[BYPASS_LOG_KEY] : [];
+    await chrome.storage.local.set({
+      [BYPASS_LOG_KEY]: [logItem, ...bypassLog].slice(0, MAX_BYPASS_LOG_ITEMS)
+    });
+    return bypass.expiresAt;
+  });
+
+  await syncRulesFromStorage();
+  return { ok: true, status: "bypassed", expiresAt };
+}
+
+/**
+ * Returns "" when the blocked `url` may be bypassed, otherwise the error to show.
+ */
+async function getBypassError(url) {
+  if (!getBypassSite(url)) {
+    return "Only http and https sites can be opened this way.";
+  }
+
+  const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
+  const blocker = findBypassBlocker(filterActiveEntries(storage[BLOCKED_ENTRIES_KEY]), url);
+  return blocker ? "Protected and locked rules cannot be bypassed." : "";
+}
+
+/**
+ * Start the interstitial's wait for the sending tab on the page it was opened for.
+ */
+async function startInterstitial({ url, entryKey }, sender) {
+  const { error, entry, scope } = await getInterstitialContext(url, entryKey, sender);
+  if (error) {
+    return rejectCommand(error).response;
+  }
+
+  const challenge = await runPinTask(() =>
+    issueChallenge(scope, [{ type: CHALLENGE_TYPES.COUNTDOWN, seconds: getInterstitialSeconds(entry) }])
+  );
+  return { ok: true, challenge };
+}
+
+/**
+ * Record the user's intention and let the sending tab through to the site until it closes.
+ */
+async function continueInterstitial({ url, entryKey, challengeId, intention }, sender) {
+  const { error, entry, scope } = await getInterstitialContext(url, entryKey, sender);
+  if (error) {
+    return rejectCommand(error).response;
+  }
+
+  const normalizedIntention = normalizeIntention(intention);
+  if (!normalizedIntention) {
+    return rejectCommand("Say what you are here to do first.").response;
+  }
+
+  const challengeError = await checkChallenge({ challengeId }, scope);
+  if (challengeError) {
+    return { ok: false, error: challengeError, challengeRequired: true };
+  }
+
+  await runPinTask(async () => {
+    const tabId = sender.tab.id;
+    const site = getBypassSite(url);
+    const sessionStorage = await chrome.storage.session.get(INTERSTITIAL_PASSES_KEY);
+    const passes = normalizeInterstitialPasses(sessionStorage[INTERSTITIAL_PASSES_KEY]);
+    await chrome.storage.session.set({
+      [INTERSTITIAL_PASSES_KEY]: { ...passes, [getInterstitialPassKey(tabId, site)]: { tabId, site } }
+    });
+
+    const storage = await chrome.storage.local.get(INTENTION_LOG_KEY);
+    const item = { site, intention: normalizedIntention, at: new Date().toISOString() };
+    await chrome.storage.local.set({
+      [INTENTION_LOG_KEY]: recordIntention(storage[INTENTION_LOG_KEY], entryKeyFromEntry(entry), item)
+    });
+  });
+
+  await syncRulesFromStorage();
+  return { ok: true, status: "continued" };
+}
+
+/**
+ * The interstitial entry a request is about, and the challenge scope for the sending
+ * tab, or the error to show.
+ */
+async function getInterstitialContext(url, entryKey, sender) {
+  const tabId = sender?.tab?.id;
+  const site = getBypassSite(url);
+  if (!Number.isInteger(tabId) || !site) {
+    return { error: "Open the site from a browser tab." };
+  }
+
+  const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
+  const entry = findBlockingEntry(filterActiveEntries(storage[BLOCKED_ENTRIES_KEY]), {
+    mode: INTERSTITIAL_MODE,
+    entryKey,
+    blockedUrl: url
+  });
+  if (!entry || !entryMatchesUrl(entry, url)) {
+    return { error: "No interstitial rule covers this site." };
+  }
+
+  return { entry, scope: getInterstitialChallengeScope(tabId, site) };
+}
+
+/**
+ * A closed tab's passes go with it.
+ */
+async function dropInterstitialPasses(tabId) {
+  const hadPasses = await runPinTask(async () => {
+    const sessionStorage = await chrome.storage.session.get(INTERSTITIAL_PASSES_KEY);
+    const passes = normalizeInterstitialPasses(sessionStorage[INTERSTITIAL_PASSES_KEY]);
+    const remaining = Object.fromEntries(Object.entries(passes).filter(([, pass]) => pass.tabId !== tabId));
+    if (Object.keys(remaining).length === Object.keys(passes).length) {
+      return false;
+    }
+
+    await chrome.storage.session.set({ [INTERSTITIAL_PASSES_KEY]: remaining });
+    return true;
+  });
+
+  if (hadPasses) {
+    await syncRulesFromStorage();
+  }
+}
+
+/**
+ * Store the requested pause with its countdown. The pause state change triggers a
+ * sync, which schedules the transition alarm for when the countdown ends. Pausing
+ * PIN-protected entries needs the PIN, and pausing entries with a challenge a
+ * completed pause challenge.
+ */
+async function startPause(message) {
+  const { minutes, includesProtected, includesChallenged } = message;
+  if (!PAUSE_DURATION_MINUTES.includes(minutes)) {
+    return rejectCommand("Pick how long to pause for.").response;
+  }
+
+  const storage = await chrome.storage.local.get([PAUSE_STATE_KEY, PAUSE_DELAY_SECONDS_KEY]);
+  const currentPauseState = normalizePauseState(storage[PAUSE_STATE_KEY]);
+  if (isPausePending(currentPauseState)) {
+    return rejectCommand("A pause is already counting down.").response;
+  }
+
+  if (isPauseActive(currentPauseState)) {
+    return rejectCommand("Blocking is already paused. Resume it first.").response;
+  }
+
+  if (includesProtected) {
+    const pinError = await checkPin(message);
+    if (pinError) {
+      return { ok: false, error: pinError, pinRequired: true };
+    }
+  }
+
+  if (includesChallenged) {
+    const challengeError = await checkChallenge(message, PAUSE_CHALLENGE_SCOPE);
+    if (challengeError) {
+      return { ok: false, error: challengeError, challengeRequired: true };
+    }
+  }
+
+  const delaySeconds = normalizePauseDelaySeconds(storage[PAUSE_DELAY_SECONDS_KEY]);
+  const pauseState = createPauseState({ minutes, includesProtected, includesChallenged }, delaySeconds);
+  await writeOwnValue(PAUSE_STATE_KEY, pauseState, ownPauseWrites);
+  return { ok: true, status: pauseState.startsAt ? "scheduled" : "paused", pauseState };
+}
+
+/**
+ * Drop the countdown the popup shows: a pause still counting down, or else a pending
+ * waiting-time change. Cancelling the pause leaves the waiting-time change running.
+ */
+async function cancelPause() {
+  const storage = await chrome.storage.local.get(PAUSE_STATE_KEY);
+  if (isPausePending(normalizePauseState(storage[PAUSE_STATE_KEY]))) {
+    await chrome.storage.local.set({ [PAUSE_STATE_KEY]: null });
+    return { ok: true, status: "cancelled" };
+  }
+
+  await chrome.storage.local.set({ [PAUSE_DELAY_CHANGE_KEY]: null });
+  return { ok: true, status: "delay-cancelled" };
+}
+
+async function endPause() {
+  const storage = await chrome.storage.local.get(PAUSE_STATE_KEY);
+  if (isPauseActive(normalizePauseState(storage[PAUSE_STATE_KEY]))) {
+    await chrome.storage.local.set({ [PAUSE_STATE_KEY]: null });
+  }
+  return { ok: true, status: "ended" };
+}
+
+/**
+ * Save the waiting time before a pause. Shortening it is itself a shortcut around
+ * the wait, so a shorter time only applies once the current one has passed.
+ */
+async function setPauseDelay({ seconds }) {
+  if (!isValidPauseDelaySeconds(seconds)) {
+    return rejectCommand("Waiting time must be 0-600 seconds.").response;
+  }
+
+  const storage = await chrome.storage.local.get(PAUSE_DELAY_SECONDS_KEY);
+  const currentSeconds = normalizePauseDelaySeconds(storage[PAUSE_DELAY_SECONDS_KEY]);
+  if (seconds >= currentSeconds) {
+    await chrome.storage.local.set({ [PAUSE_DELAY_SECONDS_KEY]: seconds, [PAUSE_DELAY_CHANGE_KEY]: null });
+    return { ok: true, status: "saved" };
+  }
+
+  const appliesAt = new Date(Date.now() + currentSeconds * 1000).toISOString();
+  await writeOwnValue(PAUSE_DELAY_CHANGE_KEY, { seconds, appliesAt }, ownPauseDelayWrites);
+  return { ok: true, status: "scheduled", appliesAt };
+}
+
+/**
+ * Switch a group on or off. Switching PIN-protected or challenge entries off sooner
+ * needs the PIN, or a challenge issued for the group.
+ */
+async function setRuleGroup(message) {
+  const name = normalizeGroupName(message.name);
+  if (!name) {
+    return rejectCommand("Group not found.").response;
+  }
+
+  const storage = await chrome.storage.local.get([BLOCKED_ENTRIES_KEY, RULE_GROUPS_KEY]);
+  const entries = filterActiveEntries(storage[BLOCKED_ENTRIES_KEY]);
+  const groups = normalizeRuleGroups(storage[RULE_GROUPS_KEY]);
+  const nextGroups = replaceRuleGroup(
+    groups,
+    { name, enabled: message.enabled !== false, expiresAt: message.expiresAt },
+    entries
+  );
+
+  const violations = findGroupViolations(groups, nextGroups, entries);
+  if (violations.some((violation) => violation.entry.requiresMasterPin)) {
+    const pinError = await checkPin(message);
+    if (pinError) {
+      return { ok: false, error: pinError, pinRequired: true };
+    }
+  }
+
+  if (violations.some((violation) => !violation.entry.requiresMasterPin)) {
+    const challengeError = await checkChallenge(message, getGroupChallengeScope(name));
+    if (challengeError) {
+      return { ok: false, error: challengeError, challengeRequired: true };
+    }
+  }
+
+  // Chrome fires no change event for an identical value, which would leave the fingerprint unused.
+  if (JSON.stringify(nextGroups) !== JSON.stringify(groups)) {
+    await writeOwnValue(RULE_GROUPS_KEY, nextGroups, ownGroupWrites);
+  }
+  return { ok: true, status: "saved" };
+}
+
+async function handleEntryCommand(message, sender) {
+  switch (message.type) {
+    case ENTRY_COMMANDS.ADD:
+      if (message.entry?.requiresMasterPin && !(await getPinRecord())) {
+        return rejectCommand("Set a master PIN in Settings before enabling protected removal.").response;
+      }
+      return applyEntryCommand(message, (entries) => addEntry(entries, message.entry));
+
+    case ENTRY_COMMANDS.UPDATE:
+      return applyEntryCommand(message, (entries) => updateEntry(entries, message.entryKey, message.entry));
+
+    case ENTRY_COMMANDS.REMOVE:
+      return applyEntryCommand(message, (entries) => removeEntry(entries, message.entryKey));
+
+    case ENTRY_COMMANDS.EXTEND:
+      return applyEntryCommand(message, (entries) =>
+        extendEntry(entries, message.entryKey, message.expiresAt)
+      );
+
+    case ENTRY_COMMANDS.VERIFY_PIN: {
+      const error = await checkPin(message);
+      return { ok: true, valid: !error, error };
+    }
+
+    case ENTRY_COMMANDS.SET_PIN:
+      return setMasterPin(message);
+
+    case ENTRY_COMMANDS.START_CHALLENGE:
+      return startChallenge(message);
+
+    case ENTRY_COMMANDS.START_BYPASS:
+      return startBypass(message);
+
+    case ENTRY_COMMANDS.GRANT_BYPASS:
+      return grantBypass(message);
+
+    case ENTRY_COMMANDS.START_INTERSTITIAL:
+      return startInterstitial(message, sender);
+
+    case ENTRY_COMMANDS.CONTINUE_INTERSTITIAL:
+      return continueInterstitial(message, sender);
+
+    case ENTRY_COMMANDS.START_PAUSE:
+      return startPause(message);
+
+    case ENTRY_COMMANDS.CANCEL_PAUSE:
+      return cancelPause();
+
+    case ENTRY_COMMANDS.END_PAUSE:
+      return endPause();
+
+    case ENTRY_COMMANDS.SET_PAUSE_DELAY:
+      return setPauseDelay(message);
+
+    case ENTRY_COMMANDS.SET_GROUP:
+      return setRuleGroup(message);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run a command's mutation; if it would drop or weaken a protected entry, it only
+ * goes through with the master PIN (`message.pin`) or a recovery code, or for an
+ * entry with an unblock challenge, a completed challenge (errors asking for one name
+ * its `entryKey`). Weakening a locked entry is refused whatever the caller sends.
+ */
+function applyEntryCommand(message, mutation) {
+  return mutateEntries(async (entries) => {
+    const result = mutation(entries);
+    const violations = result.entries ? findProtectionViolations(entries, result.entries) : [];
+    if (violations.length === 0) {
+      return result;
+    }
+
+    const lockedViolation = violations.find((violation) => violation.locked);
+    if (lockedViolation) {
+      const lockedUntil = new Date(lockedViolation.entry.lockedUntil).toLocaleString();
+      return rejectCommand(`This rule is locked until ${lockedUntil}.`);
+    }
+
+    if (violations.some((violation) => violation.entry.requiresMasterPin)) {
+      const pinError = await checkPin(message);
+      if (pinError) {
+        return { response: { ok: false, error: pinError, pinRequired: true } };
+      }
+    }
+
+    // Each command touches a single entry, but a new allow exception can override several
+    // challenge rules, and one challenge only ever answers for one of them.
+    const challengeViolations = violations.filter((violation) => !violation.entry.requiresMasterPin);
+    if (challengeViolations.length > 1) {
+      return rejectCommand("This change overrides several rules with unblock challenges; narrow it down.");
+    }
+    const [challengeViolation] = challengeViolations;
+    if (challengeViolation) {
+      const challengeError = await checkChallenge(message, challengeViolation.entryKey);
+      if (challengeError) {
+        const { entryKey } = challengeViolation;
+        return { response: { ok: false, error: challengeError, challengeRequired: true, entryKey } };
+      }
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Validate the rules being added, then apply the update. If Chrome still rejects the
+ * batch, apply the removals alone and bisect the additions, so one bad rule cannot
+ * keep every other rule from being installed. Returns [{ ruleId, message }] for the
+ * rules left out.
+ */
+async function applyRuleUpdate(applyUpdate, { removeRuleIds, addRules }) {
+  const failures = [];
+  const validRules = [];
+
+  for (const rule of addRules) {
+    const message = await getRuleValidationError(rule);
+    if (message) {
+      failures.push({ ruleId: rule.id, message });
+    } else {
+      validRules.push(rule);
+    }
+  }
+
+  if (removeRuleIds.length === 0 && validRules.length === 0) {
+    return failures;
+  }
+
+  try {
+    await applyUpdate({ removeRuleIds, addRules: validRules });
+    return failures;
+  } catch (error) {
+    console.warn("Rule update rejected; isolating the offending rules", error);
+  }
+
+  if (removeRuleIds.length > 0) {
+    await applyUpdate({ removeRuleIds });
+  }
+  return [...failures, ...(await addRulesIsolated(applyUpdate, validRules))];
+}
+
+async function getRuleValidationError(rule) {
+  const message = validateRule(rule);
+  const regex = rule.condition?.regexFilter;
+  if (message || typeof regex !== "string") {
+    return message;
+  }
+
+  const result = await chrome.declarativeNetRequest.isRegexSupported({
+    regex,
+    isCaseSensitive: rule.condition.isUrlFilterCaseSensitive === true
+  });
+  return result.isSupported ? "" : `Chrome cannot use this regex (${result.reason}).`;
+}
+
+async function addRulesIsolated(applyUpdate, rules) {
+  if (rules.length === 0) {
+    return [];
+  }
+
+  try {
+    await applyUpdate({ addRules: rules });
+    return [];
+  } catch (error) {
+    if (rules.length === 1) {
+      return [{ ruleId: rules[0].id, message: error?.message || String(error) }];
+    }
+  }
+
+  const middle = Math.ceil(rules.length / 2);
+  const firstHalfFailures = await addRulesIsolated(applyUpdate, rules.slice(0, middle));
+  const secondHalfFailures = await addRulesIsolated(applyUpdate, rules.slice(middle));
+  return [...firstHalfFailures, ...secondHalfFailures];
+}
+
+/**
+ * Attach rule failures to the entries they came from (entry key -> message).
+ * Allowlist-mode rules have no entry, so their failures only reach the console.
+ */
+function mapRuleFailuresToEntries(failures, ruleIdToEntryKey) {
+  const errors = {};
+
+  failures.forEach(({ ruleId, message }) => {
+    const mappedKey = ruleIdToEntryKey[String(ruleId)];
+    if (!mappedKey) {
+      console.error(`Chrome rejected rule ${ruleId}: ${message}`);
+      return;
+    }
+
+    (Array.isArray(mappedKey) ? mappedKey : [mappedKey]).forEach((entryKey) => {
+      errors[entryKey] ??= message;
+    });
+  });
+
+  return errors;
 }
 
 /**
@@ -72,9 +1208,13 @@ async function recordBlockedRequest(matchInfo) {
     return;
   }
 
-  const storage = await chrome.storage.local.get([RULE_ID_TO_ENTRY_KEY, BLOCK_LOGS_KEY]);
+  const storage = await chrome.storage.local.get([
+    RULE_ID_TO_ENTRY_KEY,
+    BLOCK_LOGS_KEY,
+    DAILY_RESET_TIME_KEY
+  ]);
   const ruleMap = storage[RULE_ID_TO_ENTRY_KEY] ?? {};
-  const entryKey = ruleMap[String(ruleId)];
+  const entryKey = resolveMatchedEntryKey(ruleMap[String(ruleId)], blockedUrl);
   if (!entryKey) {
     return;
   }
@@ -82,7 +1222,10 @@ async function recordBlockedRequest(matchInfo) {
   const logs = ensureLogObject(storage[BLOCK_LOGS_KEY]);
   const bucket = Array.isArray(logs[entryKey]) ? logs[entryKey] : [];
   const site = extractSiteFromUrl(blockedUrl);
-  const now = new Date().toISOString();
+  const nowMs = Date.now();
+  const now = new Date(nowMs).toISOString();
+  // `todayCount` restarts with the usage day, so the block page can show today's hits.
+  const day = getUsageDayKey(nowMs, normalizeResetTime(storage[DAILY_RESET_TIME_KEY]));
 
   const existingIndex = bucket.findIndex((item) => item.site === site);
   if (existingIndex >= 0) {
@@ -91,6 +1234,8 @@ async function recordBlockedRequest(matchInfo) {
       ...existing,
       sampleUrl: blockedUrl,
       count: Number(existing.count || 0) + 1,
+      day,
+      todayCount: existing.day === day ? Number(existing.todayCount || 0) + 1 : 1,
       lastBlockedAt: now
     };
   } else {
@@ -98,6 +1243,8 @@ async function recordBlockedRequest(matchInfo) {
       site,
       sampleUrl: blockedUrl,
       count: 1,
+      day,
+      todayCount: 1,
       lastBlockedAt: now
     });
   }
@@ -108,6 +1255,221 @@ async function recordBlockedRequest(matchInfo) {
   await chrome.storage.local.set({ [BLOCK_LOGS_KEY]: logs });
 }
 
+/**
+ * Merged domain rules map to several entry keys; log against the most specific
+ * domain that covers the blocked host.
+ */
+function resolveMatchedEntryKey(mappedKey, url) {
+  if (!Array.isArray(mappedKey)) {
+    return mappedKey;
+  }
+
+  const host = extractSiteFromUrl(url);
+  let bestKey = null;
+  let bestLength = -1;
+
+  for (const entryKey of mappedKey) {
+    const domain = entryKey.slice(entryKey.indexOf(":") + 1);
+    const covers = host === domain || host.endsWith(`.${domain}`);
+    if (covers && domain.length > bestLength) {
+      bestKey = entryKey;
+      bestLength = domain.length;
+    }
+  }
+
+  return bestKey;
+}
+
+/**
+ * Foreground events can arrive in bursts; serialize usage read-modify-writes.
+ */
+let usageWriteQueue = Promise.resolve();
+
+function enqueueForegroundRefresh() {
+  usageWriteQueue = usageWriteQueue
+    .then(() => refreshForegroundTracking())
+    .catch((error) => console.error("Failed to track foreground time", error));
+}
+
+/**
+ * Credit time since the last refresh to budgeted entries matching the tracked tab,
+ * then start tracking whichever tab is in the foreground now.
+ */
+async function refreshForegroundTracking() {
+  const nowMs = Date.now();
+  const storage = await chrome.storage.local.get([
+    BLOCKED_ENTRIES_KEY,
+    DAILY_USAGE_KEY,
+    DAILY_RESET_TIME_KEY
+  ]);
+  const sessionStorage = await chrome.storage.session.get(FOREGROUND_TRACKING_KEY);
+  const tracking = sessionStorage[FOREGROUND_TRACKING_KEY];
+
+  const resetTime = normalizeResetTime(storage[DAILY_RESET_TIME_KEY]);
+  const usage = normalizeDailyUsage(storage[DAILY_USAGE_KEY], getUsageDayKey(nowMs, resetTime));
+  const budgetedEntries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]).filter(
+    (entry) => entry.dailyBudgetMinutes && isEntryInEffect(entry, nowMs)
+  );
+
+  let hasUsageChanges = storage[DAILY_USAGE_KEY]?.day !== usage.day;
+  let hasNewlyExhaustedBudget = false;
+
+  if (typeof tracking?.url === "string" && Number.isFinite(tracking.since)) {
+    const elapsedMs = Math.min(Math.max(0, nowMs - tracking.since), MAX_FOREGROUND_CREDIT_MS);
+
+    budgetedEntries
+      .filter((entry) => entryMatchesUrl(entry, tracking.url))
+      .forEach((entry) => {
+        const entryKey = entryKeyFromEntry(entry);
+        const remainingBeforeMs = getBudgetRemainingMs(entry, usage, entryKey);
+        usage.foregroundMs[entryKey] = (usage.foregroundMs[entryKey] ?? 0) + elapsedMs;
+        hasUsageChanges = hasUsageChanges || elapsedMs > 0;
+
+        if (remainingBeforeMs > 0 && getBudgetRemainingMs(entry, usage, entryKey) === 0) {
+          hasNewlyExhaustedBudget = true;
+        }
+      });
+  }
+
+  const foregroundUrl = budgetedEntries.length > 0 ? await getForegroundUrl() : null;
+  await chrome.storage.session.set({
+    [FOREGROUND_TRACKING_KEY]: foregroundUrl ? { url: foregroundUrl, since: nowMs } : null
+  });
+
+  if (hasUsageChanges) {
+    await chrome.storage.local.set({ [DAILY_USAGE_KEY]: usage });
+  }
+
+  scheduleBudgetCheck(foregroundUrl, budgetedEntries, usage);
+
+  if (hasNewlyExhaustedBudget) {
+    await syncRulesFromStorage();
+  }
+}
+
+/**
+ * Count a committed page load against visit-limited entries matching its URL.
+ * Redirected (blocked) loads commit as the blocker page, so they never count.
+ */
+async function recordVisit(url) {
+  const nowMs = Date.now();
+  const storage = await chrome.storage.local.get([
+    BLOCKED_ENTRIES_KEY,
+    DAILY_USAGE_KEY,
+    DAILY_RESET_TIME_KEY
+  ]);
+
+  const matchingEntries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]).filter(
+    (entry) => entry.dailyVisitLimit && isEntryInEffect(entry, nowMs) && entryMatchesUrl(entry, url)
+  );
+  if (matchingEntries.length === 0) {
+    return;
+  }
+
+  const resetTime = normalizeResetTime(storage[DAILY_RESET_TIME_KEY]);
+  const usage = normalizeDailyUsage(storage[DAILY_USAGE_KEY], getUsageDayKey(nowMs, resetTime));
+  let hasReachedLimit = false;
+
+  matchingEntries.forEach((entry) => {
+    const entryKey = entryKeyFromEntry(entry);
+    usage.visits[entryKey] = (usage.visits[entryKey] ?? 0) + 1;
+    hasReachedLimit = hasReachedLimit || getVisitsRemaining(entry, usage, entryKey) === 0;
+  });
+
+  await chrome.storage.local.set({ [DAILY_USAGE_KEY]: usage });
+
+  if (hasReachedLimit) {
+    await syncRulesFromStorage();
+  }
+}
+
+function enqueueVisit(url) {
+  usageWriteQueue = usageWriteQueue
+    .then(() => recordVisit(url))
+    .catch((error) => console.error("Failed to record visit", error));
+}
+
+async function getForegroundUrl() {
+  const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (idleState !== "active") {
+    return null;
+  }
+
+  const focusedWindow = await chrome.windows.getLastFocused();
+  if (!focusedWindow?.focused) {
+    return null;
+  }
+
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+  const url = activeTab?.url;
+  return typeof url === "string" && /^https?:/.test(url) ? url : null;
+}
+
+/**
+ * Best effort: wake exactly when the foreground site runs out of budget.
+ * The minute ticker alarm is the durable fallback.
+ */
+function scheduleBudgetCheck(foregroundUrl, budgetedEntries, usage) {
+  if (budgetTimeoutId !== null) {
+    clearTimeout(budgetTimeoutId);
+    budgetTimeoutId = null;
+  }
+
+  if (!foregroundUrl) {
+    return;
+  }
+
+  const remainingTimes = budgetedEntries
+    .filter((entry) => entryMatchesUrl(entry, foregroundUrl))
+    .map((entry) => getBudgetRemainingMs(entry, usage, entryKeyFromEntry(entry)))
+    .filter((remainingMs) => remainingMs > 0);
+
+  if (remainingTimes.length === 0) {
+    return;
+  }
+
+  budgetTimeoutId = setTimeout(enqueueForegroundRefresh, Math.min(...remainingTimes) + 250);
+}
+
+async function updateBudgetTicker(hasBudgetedEntries) {
+  if (!hasBudgetedEntries) {
+    await chrome.alarms.clear(BUDGET_TICK_ALARM_NAME);
+    return;
+  }
+
+  // Re-creating would restart the period on every sync, so only create once.
+  const existingAlarm = await chrome.alarms.get(BUDGET_TICK_ALARM_NAME);
+  if (!existingAlarm) {
+    await chrome.alarms.create(BUDGET_TICK_ALARM_NAME, { periodInMinutes: 1 });
+  }
+
+  enqueueForegroundRefresh();
+}
+
+/**
+ * Show the focus phase and minutes left on the action badge, e.g. "W25" or "B5".
+ */
+async function updateFocusBadge(focusSession) {
+  if (!focusSession) {
+    await chrome.alarms.clear(FOCUS_BADGE_ALARM_NAME);
+    await chrome.action.setBadgeText({ text: "" });
+    return;
+  }
+
+  const existingAlarm = await chrome.alarms.get(FOCUS_BADGE_ALARM_NAME);
+  if (!existingAlarm) {
+    await chrome.alarms.create(FOCUS_BADGE_ALARM_NAME, { periodInMinutes: 1 });
+  }
+
+  await chrome.action.setBadgeBackgroundColor({ color: FOCUS_BADGE_COLORS[focusSession.phase] });
+  await chrome.action.setBadgeText({ text: formatFocusBadgeText(focusSession) });
+}
+
+async function refreshFocusBadge() {
+  const storage = await chrome.storage.local.get(FOCUS_SESSION_KEY);
+  await updateFocusBadge(advanceFocusSession(normalizeFocusSession(storage[FOCUS_SESSION_KEY])));
+}
+
 function ensureLogObject(value) {
   return value && typeof value === "object" && !Array.isArray(value) ? value : {};
 }
@@ -120,35 +1482,41 @@ function extractSiteFromUrl(url) {
   }
 }
 
-async function scheduleNextExpiry(entries) {
-  if (expiryTimeoutId !== null) {
-    clearTimeout(expiryTimeoutId);
-    expiryTimeoutId = null;
+/**
+ * Wake up at the earliest upcoming transition (expiries, schedule boundaries, mode end).
+ */
+async function scheduleNextTransition(timestamps) {
+  if (transitionTimeoutId !== null) {
+    clearTimeout(transitionTimeoutId);
+    transitionTimeoutId = null;
   }
 
-  const upcomingExpiries = entries
-    .map((entry) => Date.parse(entry.expiresAt ?? ""))
-    .filter((timestamp) => Number.isFinite(timestamp));
+  const upcomingTransitions = timestamps.filter((timestamp) => Number.isFinite(timestamp));
 
-  if (upcomingExpiries.length === 0) {
-    await chrome.alarms.clear(EXPIRY_ALARM_NAME);
+  if (upcomingTransitions.length === 0) {
+    await chrome.alarms.clear(TRANSITION_ALARM_NAME);
     return;
   }
 
-  const nextExpiry = Math.min(...upcomingExpiries);
-  await chrome.alarms.create(EXPIRY_ALARM_NAME, { when: nextExpiry });
+  const nextTransition = Math.min(...upcomingTransitions);
+  await chrome.alarms.create(TRANSITION_ALARM_NAME, { when: nextTransition });
 
   // Best effort for short timers while worker is alive; alarms are the durable fallback.
-  const delay = Math.max(0, nextExpiry - Date.now());
+  const delay = Math.max(0, nextTransition - Date.now());
   const boundedDelay = Math.min(delay, 2_147_483_647);
-  expiryTimeoutId = setTimeout(() => {
+  transitionTimeoutId = setTimeout(() => {
     syncRulesFromStorage().catch((error) => {
-      console.error("Failed to sync rules on timer expiry", error);
+      console.error("Failed to sync rules on timer transition", error);
     });
   }, boundedDelay);
 }
 
 chrome.runtime.onInstalled.addListener(() => {
+  // Updates from versions that stored an unsalted PIN digest migrate right away.
+  getPinRecord().catch((error) => {
+    console.error("Failed to migrate the master PIN record", error);
+  });
+
   // Ensure first install starts from a consistent dynamic rule set.
   syncRulesFromStorage().catch((error) => {
     console.error("Failed to sync rules on install", error);
@@ -162,7 +1530,31 @@ chrome.runtime.onStartup.addListener(() => {
 });
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "local" || !(BLOCKED_ENTRIES_KEY in changes)) {
+  if (areaName !== "local") {
+    return;
+  }
+
+  if (BLOCKED_ENTRIES_KEY in changes) {
+    enqueueProtectionCheck(guardProtectedEntries, changes[BLOCKED_ENTRIES_KEY]);
+  }
+
+  if (RULE_GROUPS_KEY in changes) {
+    enqueueProtectionCheck(guardRuleGroups, changes[RULE_GROUPS_KEY]);
+  }
+
+  if (PAUSE_STATE_KEY in changes) {
+    enqueueProtectionCheck(guardPauseState, changes[PAUSE_STATE_KEY]);
+  }
+
+  if (PAUSE_DELAY_SECONDS_KEY in changes) {
+    enqueueProtectionCheck(guardPauseDelaySeconds, changes[PAUSE_DELAY_SECONDS_KEY]);
+  }
+
+  if (PAUSE_DELAY_CHANGE_KEY in changes) {
+    enqueueProtectionCheck(guardPauseDelayChange, changes[PAUSE_DELAY_CHANGE_KEY]);
+  }
+
+  if (!SYNC_TRIGGER_KEYS.some((key) => key in changes)) {
     return;
   }
 
@@ -171,6 +1563,21 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
   });
 });
 
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!Object.values(ENTRY_COMMANDS).includes(message?.type)) {
+    return false;
+  }
+
+  handleEntryCommand(message, sender)
+    .then(sendResponse)
+    .catch((error) => {
+      console.error(`Failed to handle ${message.type}`, error);
+      sendResponse({ ok: false, error: "Could not save the change. Try again." });
+    });
+  // Keep the channel open for the async response.
+  return true;
+});
+
 if (chrome.declarativeNetRequest.onRuleMatchedDebug) {
   chrome.declarativeNetRequest.onRuleMatchedDebug.addListener((matchInfo) => {
     enqueueBlockedLog(matchInfo);
@@ -179,7 +1586,19 @@ if (chrome.declarativeNetRequest.onRuleMatchedDebug) {
 
 if (chrome.alarms?.onAlarm) {
   chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name !== EXPIRY_ALARM_NAME) {
+    if (alarm.name === BUDGET_TICK_ALARM_NAME) {
+      enqueueForegroundRefresh();
+      return;
+    }
+
+    if (alarm.name === FOCUS_BADGE_ALARM_NAME) {
+      refreshFocusBadge().catch((error) => {
+        console.error("Failed to refresh focus badge", error);
+      });
+      return;
+    }
+
+    if (alarm.name !== TRANSITION_ALARM_NAME) {
       return;
     }
 
@@ -188,3 +1607,38 @@ if (chrome.alarms?.onAlarm) {
     });
   });
 }
+
+chrome.tabs.onActivated.addListener(() => {
+  enqueueForegroundRefresh();
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  dropInterstitialPasses(tabId).catch((error) => {
+    console.error("Failed to drop interstitial passes", error);
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    enqueueForegroundRefresh();
+  }
+});
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0 || !/^https?:/.test(details.url) || !isNewVisit(details)) {
+    return;
+  }
+
+  enqueueVisit(details.url);
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  enqueueForegroundRefresh();
+});
+
+if (chrome.idle?.onStateChanged) {
+  chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  chrome.idle.onStateChanged.addListener(() => {
+    enqueueForegroundRefresh();
+  });
+}
@@ -0,0 +1,304 @@
+import {
+  BLOCK_PAGE_THEMES,
+  INTERSTITIAL_MODE,
+  countBlocksToday,
+  findBlockingEntry,
+  getSiteFromUrl,
+  normalizeBlockPageSettings,
+  parseBlockPageLocation
+} from "./src/block-page.js";
+import { BYPASS_DURATION_MINUTES, findBypassBlocker, getBypassSite } from "./src/bypass.js";
+import { ENTRY_COMMANDS, sendEntryCommand } from "./src/entry-commands.js";
+import {
+  BLOCK_LOGS_KEY,
+  BLOCK_PAGE_SETTINGS_KEY,
+  BLOCKED_ENTRIES_KEY,
+  DAILY_RESET_TIME_KEY,
+  entryKeyFromEntry
+} from "./src/rule-builder.js";
+import { getUsageDayKey, normalizeResetTime } from "./src/usage.js";
+
+const blockContext = parseBlockPageLocation(location);
+const continueAnywayButton = document.getElementById("continue-anyway");
+const bypassPanel = document.getElementById("bypass-panel");
+const bypassReasonInput = document.getElementById("bypass-reason");
+const bypassStatusEl = document.getElementById("bypass-status");
+const bypassConfirmButton = document.getElementById("bypass-confirm");
+const intentionPanel = document.getElementById("intention-panel");
+const intentionInput = document.getElementById("intention-input");
+const intentionStatusEl = document.getElementById("intention-status");
+const intentionContinueButton = document.getElementById("intention-continue");
+const isInterstitial = blockContext.mode === INTERSTITIAL_MODE;
+let countdownTimerId = null;
+let bypassChallengeId = null;
+let interstitialChallengeId = null;
+
+/**
+ * A rule's own message comes first. Otherwise rules can pass a reason so the page
+ * explains why the site is closed today, or else one of the user's messages is picked.
+ */
+function pickMessage(settings, entry) {
+  if (entry?.blockMessage) {
+    return entry.blockMessage;
+  }
+
+  if (isInterstitial) {
+    return `${getSiteFromUrl(blockContext.blockedUrl)} asks for a moment first.`;
+  }
+
+  if (blockContext.reason === "visit-limit" && blockContext.limit) {
+    const { limit } = blockContext;
+    return `Daily limit of ${limit} ${limit === 1 ? "visit" : "visits"} reached. See you after the reset.`;
+  }
+
+  if (blockContext.reason === "allowlist") {
+    return "Allowlist mode is on: only allowlisted sites are open right now.";
+  }
+
+  return settings.messages[Math.floor(Math.random() * settings.messages.length)];
+}
+
+function applyTheme({ theme, accent }) {
+  const prefersDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+  const isDark = theme === BLOCK_PAGE_THEMES.DARK || (theme === BLOCK_PAGE_THEMES.SYSTEM && prefersDark);
+  document.documentElement.dataset.theme = isDark ? BLOCK_PAGE_THEMES.DARK : BLOCK_PAGE_THEMES.LIGHT;
+  document.documentElement.style.setProperty("--accent", accent);
+}
+
+function renderAlternatives(alternatives) {
+  const list = document.getElementById("alternative-links");
+  list.innerHTML = "";
+  alternatives.forEach(({ label, url }) => {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = url;
+    link.textContent = label;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  document.getElementById("alternatives").hidden = alternatives.length === 0;
+}
+
+function showDetail(name, text) {
+  document.getElementById(`blocked-${name}`).textContent = text;
+  document.getElementById(`blocked-${name}-row`).hidden = false;
+  document.getElementById("blocked-details").hidden = false;
+}
+
+/**
+ * Apply the user's theme, message and alternatives, then show the blocked site, the
+ * rule that matched, a live countdown to its expiry and how often the site was blocked
+ * today, and offer "Continue anyway" where allowed. The interstitial only names the
+ * site and its rule.
+ */
+async function renderBlockPage() {
+  const { blockedUrl } = blockContext;
+  if (blockedUrl) {
+    showDetail("site", blockedUrl);
+  }
+
+  const storage = await chrome.storage.local.get([
+    BLOCKED_ENTRIES_KEY,
+    BLOCK_LOGS_KEY,
+    BLOCK_PAGE_SETTINGS_KEY,
+    DAILY_RESET_TIME_KEY
+  ]);
+  const settings = normalizeBlockPageSettings(storage[BLOCK_PAGE_SETTINGS_KEY]);
+  applyTheme(settings);
+  renderAlternatives(settings.alternatives);
+
+  // Protected and locked rules offer no way through; the background refuses them too.
+  continueAnywayButton.hidden =
+    isInterstitial ||
+    !getBypassSite(blockedUrl) ||
+    Boolean(findBypassBlocker(storage[BLOCKED_ENTRIES_KEY], blockedUrl));
+
+  const entry = findBlockingEntry(storage[BLOCKED_ENTRIES_KEY], blockContext);
+  document.getElementById("fun-message").textContent = pickMessage(settings, entry);
+  if (!entry) {
+    if (blockContext.reason === "allowlist") {
+      showDetail("rule", "Allowlist mode");
+    }
+    return;
+  }
+
+  showDetail("rule", `${entry.type} ${entry.value}`);
+  if (isInterstitial) {
+    return;
+  }
+
+  renderCountdown(entry.expiresAt);
+
+  if (blockedUrl) {
+    const dayKey = getUsageDayKey(Date.now(), normalizeResetTime(storage[DAILY_RESET_TIME_KEY]));
+    const count = countBlocksToday(
+      storage[BLOCK_LOGS_KEY],
+      entryKeyFromEntry(entry),
+      getSiteFromUrl(blockedUrl),
+      dayKey
+    );
+    showDetail("count", `Blocked ${count} ${count === 1 ? "time" : "times"} today`);
+  }
+}
+
+function renderCountdown(expiresAt) {
+  clearInterval(countdownTimerId);
+  const expiresAtMs = Date.parse(expiresAt ?? "");
+  if (!Number.isFinite(expiresAtMs)) {
+    showDetail("countdown", "No end time");
+    return;
+  }
+
+  const tick = () => {
+    const remainingMs = expiresAtMs - Date.now();
+    if (remainingMs <= 0) {
+      clearInterval(countdownTimerId);
+      showDetail("countdown", "This rule has ended. Reload to try again.");
+      return;
+    }
+
+    showDetail("countdown", `in ${formatCountdown(remainingMs)}`);
+  };
+
+  tick();
+  countdownTimerId = setInterval(tick, 1000);
+}
+
+function formatCountdown(remainingMs) {
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  const days = Math.floor(totalSeconds / 86_400);
+  const hours = Math.floor((totalSeconds % 86_400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const clock = [hours, minutes, totalSeconds % 60].map((part) => String(part).padStart(2, "0")).join(":");
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+/**
+ * "Continue anyway": wait out the cooling-off countdown, then the background opens
+ * the site for a few minutes and this tab goes back to it.
+ */
+async function startBypass() {
+  continueAnywayButton.hidden = true;
+  bypassPanel.hidden = false;
+  bypassConfirmButton.textContent = `Open for ${BYPASS_DURATION_MINUTES} minutes`;
+  bypassReasonInput.focus();
+
+  const response = await sendEntryCommand(ENTRY_COMMANDS.START_BYPASS, { url: blockContext.blockedUrl });
+  if (!response.ok) {
+    bypassStatusEl.textContent = response.error;
+    return;
+  }
+
+  bypassChallengeId = response.challenge.id;
+  waitUntilReady(response.challenge.readyAt, bypassConfirmButton, bypassStatusEl);
+}
+
+/**
+ * Keep `button` disabled until the background's `readyAt`, counting down in `statusEl`.
+ */
+function waitUntilReady(readyAt, button, statusEl) {
+  const readyAtMs = Date.parse(readyAt ?? "") || Date.now();
+  let timerId = null;
+  const tick = () => {
+    const remainingMs = readyAtMs - Date.now();
+    button.disabled = remainingMs > 0;
+    statusEl.textContent =
+      remainingMs > 0 ? `Take a moment. You can continue in ${Math.ceil(remainingMs / 1000)}s.` : "";
+    if (remainingMs <= 0) {
+      clearInterval(timerId);
+    }
+  };
+
+  tick();
+  timerId = setInterval(tick, 250);
+}
+
+async function confirmBypass() {
+  bypassConfirmButton.disabled = true;
+  const response = await sendEntryCommand(ENTRY_COMMANDS.GRANT_BYPASS, {
+    url: blockContext.blockedUrl,
+    challengeId: bypassChallengeId,
+    reason: bypassReasonInput.value
+  });
+  if (!response.ok) {
+    bypassStatusEl.textContent = response.error;
+    bypassConfirmButton.disabled = false;
+    return;
+  }
+
+  location.replace(blockContext.blockedUrl);
+}
+
+/**
+ * Interstitial mode: ask what the visit is for and wait before letting this tab through.
+ */
+async function startInterstitial() {
+  document.title = "What are you here to do?";
+  document.getElementById("blocked-title").textContent = "What are you here to do?";
+  document.getElementById("blocked-tip").hidden = true;
+  intentionPanel.hidden = false;
+  intentionInput.focus();
+
+  const response = await sendEntryCommand(ENTRY_COMMANDS.START_INTERSTITIAL, {
+    url: blockContext.blockedUrl,
+    entryKey: blockContext.entryKey
+  });
+  if (!response.ok) {
+    intentionStatusEl.textContent = response.error;
+    return;
+  }
+
+  interstitialChallengeId = response.challenge.id;
+  waitUntilReady(response.challenge.readyAt, intentionContinueButton, intentionStatusEl);
+}
+
+async function continueInterstitial() {
+  intentionContinueButton.disabled = true;
+  const response = await sendEntryCommand(ENTRY_COMMANDS.CONTINUE_INTERSTITIAL, {
+    url: blockContext.blockedUrl,
+    entryKey: blockContext.entryKey,
+    challengeId: interstitialChallengeId,
+    intention: intentionInput.value
+  });
+  if (!response.ok) {
+    intentionStatusEl.textContent = response.error;
+    intentionContinueButton.disabled = false;
+    return;
+  }
+
+  location.replace(blockContext.blockedUrl);
+}
+
+if (isInterstitial) {
+  startInterstitial().catch((error) => {
+    console.error("Failed to start the interstitial", error);
+  });
+}
+
+renderBlockPage().catch((error) => {
+  console.error("Failed to load the block page", error);
+});
+
+document.getElementById("go-back").addEventListener("click", () => {
+  history.back();
+});
+
+continueAnywayButton.addEventListener("click", () => {
+  startBypass().catch((error) => {
+    console.error("Failed to start the bypass countdown", error);
+  });
+});
+
+bypassPanel.addEventListener("submit", (event) => {
+  event.preventDefault();
+  confirmBypass().catch((error) => {
+    console.error("Failed to open the site", error);
+  });
+});
+
+intentionPanel.addEventListener("submit", (event) => {
+  event.preventDefault();
+  continueInterstitial().catch((error) => {
+    console.error("Failed to continue past the interstitial", error);
+  });
+});
@@ -1,7 +1,10 @@
-const BLOCKED_ENTRIES_KEY = "blockedEntries";
+// Background publishes only the hide entries enforced right now (expiry + schedule applied).
+const ACTIVE_HIDE_ENTRIES_KEY = "activeHideEntries";
 const ENTRY_TYPES = {
   DOMAIN: "domain",
-  PATTERN: "pattern"
+  PATTERN: "pattern",
+  REGEX: "regex",
+  KEYWORD: "keyword"
 };
 const ENTRY_ACTIONS = {
   HIDE_ELEMENTS: "hide-elements"
@@ -16,16 +19,16 @@ init().catch((error) => {
 });
 
 async function init() {
-  const storage = await chrome.storage.local.get(BLOCKED_ENTRIES_KEY);
-  activeHideEntries = buildActiveHideEntries(storage[BLOCKED_ENTRIES_KEY]);
+  const storage = await chrome.storage.local.get(ACTIVE_HIDE_ENTRIES_KEY);
+  activeHideEntries = buildActiveHideEntries(storage[ACTIVE_HIDE_ENTRIES_KEY]);
   applyHideRulesForCurrentPage();
 
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== "local" || !(BLOCKED_ENTRIES_KEY in changes)) {
+    if (areaName !== "local" || !(ACTIVE_HIDE_ENTRIES_KEY in changes)) {
       return;
     }
 
-    activeHideEntries = buildActiveHideEntries(changes[BLOCKED_ENTRIES_KEY]?.newValue);
+    activeHideEntries = buildActiveHideEntries(changes[ACTIVE_HIDE_ENTRIES_KEY]?.newValue);
     applyHideRulesForCurrentPage();
   });
 
@@ -61,7 +64,7 @@ function buildActiveHideEntries(rawEntries) {
 
     const type = entry.type;
     const value = String(entry.value ?? "").trim();
-    if (!value || (type !== ENTRY_TYPES.DOMAIN && type !== ENTRY_TYPES.PATTERN)) {
+    if (!value || !Object.values(ENTRY_TYPES).includes(type)) {
       return;
     }
 
@@ -81,6 +84,7 @@ function buildActiveHideEntries(rawEntries) {
     normalized.push({
       type,
       value: type === ENTRY_TYPES.DOMAIN ? value.toLowerCase() : value,
+      caseSensitive: entry.caseSensitive === true,
       selectors
     });
   });
@@ -152,7 +156,16 @@ function matchesPage(entry, url, host) {
     return host === entry.value || host.endsWith(`.${entry.value}`);
   }
 
+  if (entry.type === ENTRY_TYPES.KEYWORD) {
+    return entry.caseSensitive ? url.includes(entry.value) : url.toLowerCase().includes(entry.value);
+  }
+
   try {
+    // Regex entries match case-insensitively, like their DNR regexFilter.
+    if (entry.type === ENTRY_TYPES.REGEX) {
+      return new RegExp(entry.value, "i").test(url);
+    }
+
     return new RegExp(wildcardPatternToRegex(entry.value)).test(url);
   } catch {
     return false;
@@ -1,14 +1,113 @@
 import {
+  ALLOWLIST_MODE_KEY,
   BLOCKED_ENTRIES_KEY,
   BLOCK_LOGS_KEY,
+  BLOCK_PAGE_SETTINGS_KEY,
+  BYPASS_LOG_KEY,
+  DAILY_RESET_TIME_KEY,
+  DAILY_USAGE_KEY,
   ENTRY_ACTIONS,
   ENTRY_TYPES,
+  FOCUS_SESSION_KEY,
+  INTENTION_LOG_KEY,
   MASTER_PIN_HASH_KEY,
+  MAX_DYNAMIC_RULES,
+  MAX_REGEX_RULES,
+  MIN_KEYWORD_LENGTH,
+  PAUSE_DELAY_CHANGE_KEY,
+  PAUSE_DELAY_SECONDS_KEY,
+  PAUSE_STATE_KEY,
+  RULE_GROUPS_KEY,
+  RULE_ID_TO_ENTRY_KEY,
+  RECOVERY_CODE_HASHES_KEY,
+  RULE_STATUS_KEY,
+  TAMPER_LOG_KEY,
+  UNENFORCED_REASONS,
+  compilePatternToUrlFilter,
+  countBlockPageRegexRules,
+  countRegexRules,
   entryKeyFromEntry,
   filterActiveEntries,
+  getOverriddenEntries,
+  getRedirectTargetError,
+  isAllowlistModeActive,
+  normalizeAllowlistMode,
+  normalizeBlockMessage,
   normalizeDomain,
-  normalizeEntries
+  normalizeEntries,
+  normalizeKeyword
 } from "./src/rule-builder.js";
+import {
+  formatSchedule,
+  formatTransitionTime,
+  getNextScheduleTransition,
+  isScheduleActive,
+  parseScheduleText
+} from "./src/schedule.js";
+import {
+  getBudgetRemainingMs,
+  getUsageDayKey,
+  getVisitsRemaining,
+  normalizeDailyBudget,
+  normalizeDailyUsage,
+  normalizeDailyVisitLimit,
+  normalizeResetTime
+} from "./src/usage.js";
+import {
+  FOCUS_PHASES,
+  advanceFocusSession,
+  createFocusSession,
+  getFocusPhaseForEntry,
+  getFocusPhaseRemainingMs,
+  normalizeFocusSession,
+  skipFocusPhase
+} from "./src/focus-session.js";
+import {
+  findRuleGroup,
+  groupKey,
+  isEntryGroupEnabled,
+  isRuleGroupEnabled,
+  normalizeGroupName,
+  normalizeRuleGroups
+} from "./src/groups.js";
+import {
+  isPauseActive,
+  isPausePending,
+  normalizePauseDelayChange,
+  normalizePauseDelaySeconds,
+  normalizePauseState
+} from "./src/pause.js";
+import { ENTRY_COMMANDS, sendEntryCommand } from "./src/entry-commands.js";
+import { isValidSixDigitPin } from "./src/pin.js";
+import { getLockRemainingMs, isEntryLocked } from "./src/lock.js";
+import { CHALLENGE_TYPES, DEFAULT_COUNTDOWN_SECONDS, normalizeCountdownSeconds } from "./src/challenge.js";
+import {
+  DEFAULT_INTERSTITIAL_SECONDS,
+  MAX_INTERSTITIAL_SECONDS,
+  MIN_INTERSTITIAL_SECONDS,
+  getInterstitialSeconds,
+  normalizeInterstitialSeconds
+} from "./src/interstitial.js";
+import { MAX_ALTERNATIVES, normalizeAlternative, normalizeBlockPageSettings } from "./src/block-page.js";
+
+const VALUE_PLACEHOLDERS = {
+  [ENTRY_TYPES.DOMAIN]: "example.com",
+  [ENTRY_TYPES.PATTERN]: "*://*.example.com/*",
+  [ENTRY_TYPES.REGEX]: "^https?://([a-z]+\\.)?example\\.com/(shorts|reels)/",
+  [ENTRY_TYPES.KEYWORD]: "casino or /shorts/"
+};
+
+// Reasons returned by chrome.declarativeNetRequest.isRegexSupported.
+const UNSUPPORTED_REGEX_MESSAGES = {
+  syntaxError: "Chrome cannot use this regex: it uses syntax outside RE2 (e.g. lookarounds or backreferences).",
+  memoryLimitExceeded: "Chrome cannot use this regex: it is too complex. Try a simpler expression."
+};
+
+// Reasons the background reports for entries it could not fit into Chrome's rule limits.
+const UNENFORCED_MESSAGES = {
+  [UNENFORCED_REASONS.RULE_LIMIT]: "Not enforced: Chrome's rule limit is full. Remove or merge some rules.",
+  [UNENFORCED_REASONS.REGEX_LIMIT]: "Not enforced: Chrome's regex rule limit is full. Prefer domains or simple patterns."
+};
 
 const PRESET_DURATION_MS = {
   "15m": 15 * 60 * 1000,
@@ -26,7 +125,6 @@ const CUSTOM_UNIT_MS = {
 };
 
 const MASTER_PIN_LENGTH = 6;
-const EMERGENCY_MASTER_PIN = "456789";
 const YOUTUBE_TEMPLATE_SELECTORS = [
   "#related",
   "#comments",
@@ -78,19 +176,51 @@ const form = document.getElementById("block-form");
 const typeSelect = document.getElementById("entry-type");
 const valueInput = document.getElementById("entry-value");
 const suggestionsEl = document.getElementById("entry-suggestions");
+const keywordCaseRow = document.getElementById("keyword-case-row");
+const keywordCaseSensitiveCheckbox = document.getElementById("keyword-case-sensitive");
+const actionSelect = document.getElementById("entry-action");
+const interstitialSecondsRow = document.getElementById("interstitial-seconds-row");
+const interstitialSecondsInput = document.getElementById("interstitial-seconds");
+const redirectUrlRow = document.getElementById("redirect-url-row");
+const redirectUrlInput = document.getElementById("redirect-url");
+const groupInput = document.getElementById("entry-group");
+const groupNamesEl = document.getElementById("group-names");
+const blockMessageInput = document.getElementById("entry-block-message");
 const durationTemplateButtons = Array.from(
   document.querySelectorAll("button[data-duration-template]")
 );
 const customDurationRow = document.getElementById("custom-duration-row");
 const customDurationValueInput = document.getElementById("custom-duration-value");
 const customDurationUnitSelect = document.getElementById("custom-duration-unit");
+const useScheduleCheckbox = document.getElementById("use-schedule");
+const scheduleRow = document.getElementById("schedule-row");
+const scheduleInput = document.getElementById("entry-schedule");
+const useDailyBudgetCheckbox = document.getElementById("use-daily-budget");
+const dailyBudgetRow = document.getElementById("daily-budget-row");
+const dailyBudgetInput = document.getElementById("daily-budget-minutes");
+const useVisitLimitCheckbox = document.getElementById("use-visit-limit");
+const visitLimitRow = document.getElementById("visit-limit-row");
+const visitLimitInput = document.getElementById("daily-visit-limit");
 const requiresMasterPinCheckbox = document.getElementById("requires-master-pin");
+const useUnblockChallengeCheckbox = document.getElementById("use-unblock-challenge");
+const unblockChallengeRow = document.getElementById("unblock-challenge-row");
+const unblockChallengeTypeSelect = document.getElementById("unblock-challenge-type");
+const unblockCountdownRow = document.getElementById("unblock-countdown-row");
+const unblockCountdownInput = document.getElementById("unblock-countdown-seconds");
+const useCommitmentLockCheckbox = document.getElementById("use-commitment-lock");
+const commitmentLockRow = document.getElementById("commitment-lock-row");
+const lockedUntilInput = document.getElementById("locked-until");
 const useAdvancedOptionsCheckbox = document.getElementById("use-advanced-options");
 const selectorsRow = document.getElementById("selectors-row");
 const selectorsInput = document.getElementById("entry-selectors");
 const youtubeTemplateButton = document.getElementById("youtube-template");
 const xTemplateButton = document.getElementById("x-template");
 const messageEl = document.getElementById("message");
+const groupsSectionEl = document.getElementById("groups-section");
+const groupDurationSelect = document.getElementById("group-duration");
+const groupListEl = document.getElementById("group-list");
+const groupMessageEl = document.getElementById("group-message");
+const ruleCapacityEl = document.getElementById("rule-capacity");
 const entryListEl = document.getElementById("entry-list");
 const entryDetailsEl = document.getElementById("entry-details");
 
@@ -98,12 +228,66 @@ const settingsToggleButton = document.getElementById("settings-toggle");
 const settingsPanel = document.getElementById("settings-panel");
 const settingsCloseButton = document.getElementById("settings-close");
 const settingsHelperEl = document.getElementById("settings-helper");
+const tamperStatusEl = document.getElementById("tamper-status");
+const bypassLogEl = document.getElementById("bypass-log");
+const bypassLogEmptyEl = document.getElementById("bypass-log-empty");
+const blockPageMessagesInput = document.getElementById("block-page-messages");
+const blockPageThemeSelect = document.getElementById("block-page-theme");
+const blockPageAccentInput = document.getElementById("block-page-accent");
+const saveBlockPageButton = document.getElementById("save-block-page");
+const blockPageMessageEl = document.getElementById("block-page-message");
+const alternativeListEl = document.getElementById("alternative-list");
+const alternativeLabelInput = document.getElementById("alternative-label");
+const alternativeUrlInput = document.getElementById("alternative-url");
+const alternativeAddButton = document.getElementById("alternative-add");
+const alternativeMessageEl = document.getElementById("alternative-message");
+const recoveryCodesEl = document.getElementById("recovery-codes");
 const settingsMessageEl = document.getElementById("settings-message");
 const newPinLabel = document.getElementById("new-pin-label");
 const saveMasterPinButton = document.getElementById("save-master-pin");
+const allowlistDomainsInput = document.getElementById("allowlist-domains");
+const allowlistDurationSelect = document.getElementById("allowlist-duration");
+const allowlistStatusEl = document.getElementById("allowlist-status");
+const allowlistStartButton = document.getElementById("allowlist-start");
+const allowlistStopButton = document.getElementById("allowlist-stop");
+const allowlistMessageEl = document.getElementById("allowlist-message");
+const focusStatusEl = document.getElementById("focus-status");
+const focusSetupEl = document.getElementById("focus-setup");
+const focusWorkMinutesInput = document.getElementById("focus-work-minutes");
+const focusBreakMinutesInput = document.getElementById("focus-break-minutes");
+const focusCyclesInput = document.getElementById("focus-cycles");
+const focusEntriesEl = document.getElementById("focus-entries");
+const focusStartButton = document.getElementById("focus-start");
+const focusSkipButton = document.getElementById("focus-skip");
+const focusStopButton = document.getElementById("focus-stop");
+const focusMessageEl = document.getElementById("focus-message");
+const pauseBannerEl = document.getElementById("pause-banner");
+const pauseBannerTextEl = document.getElementById("pause-banner-text");
+const pauseResumeButton = document.getElementById("pause-resume");
+const pauseMinutesSelect = document.getElementById("pause-minutes");
+const pauseIncludeProtectedCheckbox = document.getElementById("pause-include-protected");
+const pauseIncludeChallengedCheckbox = document.getElementById("pause-include-challenged");
+const pausePinRow = document.getElementById("pause-pin-row");
+const pauseDelayInput = document.getElementById("pause-delay-seconds");
+const pauseStatusEl = document.getElementById("pause-status");
+const pauseStartButton = document.getElementById("pause-start");
+const pauseCancelButton = document.getElementById("pause-cancel");
+const savePauseDelayButton = document.getElementById("save-pause-delay");
+const pauseMessageEl = document.getElementById("pause-message");
+const dailyResetTimeInput = document.getElementById("daily-reset-time");
+const saveResetTimeButton = document.getElementById("save-reset-time");
+const resetTimeMessageEl = document.getElementById("reset-time-message");
 
 const pinModal = document.getElementById("pin-modal");
+const pinModalTitleEl = document.getElementById("pin-modal-title");
+const pinModalTextEl = document.getElementById("pin-modal-text");
+const pinModalCredentialsEl = document.getElementById("pin-modal-credentials");
+const challengeFieldsEl = document.getElementById("challenge-fields");
+const challengePassageEl = document.getElementById("challenge-passage");
+const challengeAnswerInput = document.getElementById("challenge-answer");
+const challengeCountdownEl = document.getElementById("challenge-countdown");
 const pinModalMessageEl = document.getElementById("pin-modal-message");
+const removeRecoveryCodeInput = document.getElementById("remove-recovery-code");
 const pinCancelButton = document.getElementById("pin-cancel");
 const pinConfirmButton = document.getElementById("pin-confirm");
 
@@ -112,24 +296,39 @@ let activeSuggestionIndex = -1;
 let hideSuggestionsTimeoutId = null;
 let selectedDurationTemplate = "indefinite";
 let hasMasterPin = false;
-let pendingRemovalIndex = -1;
+// Runs with { pin }, { recoveryCode } or { challengeId, challengeAnswer } once the
+// modal is confirmed; returns an error or "".
+let pendingPinAction = null;
+let pendingChallenge = null;
+let challengeTickerId = null;
 let expandedEntryKey = null;
+let currentFocusSession = null;
+let currentPauseState = null;
+let currentPauseDelayChange = null;
+// Whether the last render showed a pause counting down, to announce it once it starts.
+let wasPauseCountingDown = false;
 
 const newPinOtp = createOtpInputGroup(document.getElementById("new-pin-inputs"), "new");
 const removePinOtp = createOtpInputGroup(document.getElementById("remove-pin-inputs"), "remove");
+const pausePinOtp = createOtpInputGroup(document.getElementById("pause-pin-inputs"), "pause");
 
 /**
- * Read entries + per-rule logs from storage and return normalized data.
+ * Read entries, per-rule logs and intentions, today's budget usage, the focus session
+ * and groups from storage.
  */
 async function getStoredState() {
-  const storage = await chrome.storage.local.get([BLOCKED_ENTRIES_KEY, BLOCK_LOGS_KEY]);
-  const normalizedEntries = normalizeEntries(storage[BLOCKED_ENTRIES_KEY]);
-  const activeEntries = filterActiveEntries(normalizedEntries);
-
-  // If some entries expired while popup was closed, prune them now.
-  if (activeEntries.length !== normalizedEntries.length) {
-    await saveEntries(activeEntries);
-  }
+  const storage = await chrome.storage.local.get([
+    BLOCKED_ENTRIES_KEY,
+    BLOCK_LOGS_KEY,
+    DAILY_USAGE_KEY,
+    DAILY_RESET_TIME_KEY,
+    FOCUS_SESSION_KEY,
+    INTENTION_LOG_KEY,
+    RULE_GROUPS_KEY,
+    RULE_STATUS_KEY
+  ]);
+  // The background prunes expired entries from storage; here they are only hidden.
+  const activeEntries = filterActiveEntries(normalizeEntries(storage[BLOCKED_ENTRIES_KEY]));
 
   const logs = storage[BLOCK_LOGS_KEY] ?? {};
   const activeKeys = new Set(activeEntries.map((entry) => entryKeyFromEntry(entry)));
@@ -141,57 +340,23 @@ async function getStoredState() {
     await chrome.storage.local.set({ [BLOCK_LOGS_KEY]: prunedLogs });
   }
 
+  const resetTime = normalizeResetTime(storage[DAILY_RESET_TIME_KEY]);
+  const usage = normalizeDailyUsage(storage[DAILY_USAGE_KEY], getUsageDayKey(Date.now(), resetTime));
+
   return {
     entries: activeEntries,
-    logs: prunedLogs
+    logs: prunedLogs,
+    usage,
+    focusSession: advanceFocusSession(normalizeFocusSession(storage[FOCUS_SESSION_KEY])),
+    groups: normalizeRuleGroups(storage[RULE_GROUPS_KEY]),
+    ruleStatus: {
+      unenforced: storage[RULE_STATUS_KEY]?.unenforced ?? {},
+      errors: storage[RULE_STATUS_KEY]?.errors ?? {}
+    },
+    intentions: storage[INTENTION_LOG_KEY] ?? {}
   };
 }
 
-/**
- * Save entries back to storage. Background worker listens to this and re-syncs DNR rules.
- */
-async function saveEntries(entries) {
-  await chrome.storage.local.set({
-    [BLOCKED_ENTRIES_KEY]: normalizeEntries(entries)
-  });
-}
-
-async function getMasterPinHash() {
-  const storage = await chrome.storage.local.get(MASTER_PIN_HASH_KEY);
-  return typeof storage[MASTER_PIN_HASH_KEY] === "string" ? storage[MASTER_PIN_HASH_KEY] : "";
-}
-
-async function setMasterPin(pin) {
-  const nextHash = await hashPin(pin);
-  await chrome.storage.local.set({ [MASTER_PIN_HASH_KEY]: nextHash });
-}
-
-async function verifyMasterPin(pin) {
-  if (!isValidSixDigitPin(pin)) {
-    return false;
-  }
-
-  const currentHash = await getMasterPinHash();
-  if (!currentHash) {
-    return false;
-  }
-
-  const candidateHash = await hashPin(pin);
-  return candidateHash === currentHash;
-}
-
-async function hashPin(pin) {
-  const payload = new TextEncoder().encode(pin);
-  const digest = await crypto.subtle.digest("SHA-256", payload);
-  return Array.from(new Uint8Array(digest))
-    .map((byte) => byte.toString(16).padStart(2, "0"))
-    .join("");
-}
-
-function isValidSixDigitPin(pin) {
-  return /^\d{6}$/.test(pin);
-}
-
 function setMessage(text, kind = "ok") {
   messageEl.textContent = text;
   messageEl.className = `message message--${kind}`;
@@ -207,7 +372,7 @@ function clearInlineMessage(target) {
   target.className = "message message--inline";
 }
 
-function renderEntries(entries, logsByEntryKey) {
+function renderEntries(entries, logsByEntryKey, usage, focusSession, groups, ruleStatus, intentions) {
   entryListEl.innerHTML = "";
   entryDetailsEl.innerHTML = "";
   entryDetailsEl.hidden = true;
@@ -234,7 +399,8 @@ function renderEntries(entries, logsByEntryKey) {
 
     const chip = document.createElement("button");
     chip.type = "button";
-    chip.className = `entry-chip${isExpanded ? " is-active" : ""}`;
+    const isGroupOff = !isEntryGroupEnabled(entry, groups);
+    chip.className = `entry-chip${isExpanded ? " is-active" : ""}${isGroupOff ? " entry-chip--off" : ""}`;
     chip.dataset.role = "toggle";
     chip.dataset.entryKey = itemEntryKey;
     chip.setAttribute("aria-pressed", String(isExpanded));
@@ -248,6 +414,27 @@ function renderEntries(entries, logsByEntryKey) {
     const badges = document.createElement("span");
     badges.className = "entry-chip__badges";
 
+    if (ruleStatus.errors[itemEntryKey]) {
+      const errorBadge = document.createElement("span");
+      errorBadge.className = "entry-chip__badge entry-chip__badge--error";
+      errorBadge.textContent = "Error";
+      badges.appendChild(errorBadge);
+    }
+
+    if (ruleStatus.unenforced[itemEntryKey]) {
+      const unenforcedBadge = document.createElement("span");
+      unenforcedBadge.className = "entry-chip__badge entry-chip__badge--unenforced";
+      unenforcedBadge.textContent = "Not enforced";
+      badges.appendChild(unenforcedBadge);
+    }
+
+    if (entry.group) {
+      const groupBadge = document.createElement("span");
+      groupBadge.className = "entry-chip__badge entry-chip__badge--group";
+      groupBadge.textContent = entry.group;
+      badges.appendChild(groupBadge);
+    }
+
     if (entry.expiresAt) {
       const timedBadge = document.createElement("span");
       timedBadge.className = "entry-chip__badge entry-chip__badge--timed";
@@ -255,6 +442,38 @@ function renderEntries(entries, logsByEntryKey) {
       badges.appendChild(timedBadge);
     }
 
+    if (entry.schedule) {
+      const scheduleActive = isScheduleActive(entry.schedule);
+      const scheduleBadge = document.createElement("span");
+      scheduleBadge.className = `entry-chip__badge entry-chip__badge--${scheduleActive ? "sched-on" : "sched-off"}`;
+      scheduleBadge.textContent = formatScheduleBadge(entry.schedule, scheduleActive);
+      badges.appendChild(scheduleBadge);
+    }
+
+    if (entry.dailyBudgetMinutes) {
+      const remainingMs = getBudgetRemainingMs(entry, usage, itemEntryKey);
+      const budgetBadge = document.createElement("span");
+      budgetBadge.className = `entry-chip__badge entry-chip__badge--${remainingMs > 0 ? "budget" : "budget-spent"}`;
+      budgetBadge.textContent = remainingMs > 0 ? `${formatRemainingTime(remainingMs)} left` : "Used up";
+      badges.appendChild(budgetBadge);
+    }
+
+    if (entry.dailyVisitLimit) {
+      const visitsLeft = getVisitsRemaining(entry, usage, itemEntryKey);
+      const visitBadge = document.createElement("span");
+      visitBadge.className = `entry-chip__badge entry-chip__badge--${visitsLeft > 0 ? "budget" : "budget-spent"}`;
+      visitBadge.textContent = visitsLeft > 0 ? `${visitsLeft}/${entry.dailyVisitLimit} visits` : "Limit hit";
+      badges.appendChild(visitBadge);
+    }
+
+    const focusPhase = getFocusPhaseForEntry(focusSession, itemEntryKey);
+    if (focusPhase) {
+      const sessionBadge = document.createElement("span");
+      sessionBadge.className = `entry-chip__badge entry-chip__badge--focus-${focusPhase}`;
+      sessionBadge.textContent = focusPhase === FOCUS_PHASES.WORK ? "Work" : "Break";
+      badges.appendChild(sessionBadge);
+    }
+
     if (entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
       const focusBadge = document.createElement("span");
       focusBadge.className = "entry-chip__badge entry-chip__badge--focus";
@@ -262,6 +481,27 @@ function renderEntries(entries, logsByEntryKey) {
       badges.appendChild(focusBadge);
     }
 
+    if (entry.action === ENTRY_ACTIONS.INTERSTITIAL) {
+      const askBadge = document.createElement("span");
+      askBadge.className = "entry-chip__badge entry-chip__badge--focus";
+      askBadge.textContent = "Ask";
+      badges.appendChild(askBadge);
+    }
+
+    if (entry.action === ENTRY_ACTIONS.REDIRECT) {
+      const redirectBadge = document.createElement("span");
+      redirectBadge.className = "entry-chip__badge entry-chip__badge--focus";
+      redirectBadge.textContent = "Redirect";
+      badges.appendChild(redirectBadge);
+    }
+
+    if (entry.action === ENTRY_ACTIONS.ALLOW) {
+      const allowBadge = document.createElement("span");
+      allowBadge.className = "entry-chip__badge entry-chip__badge--allow";
+      allowBadge.textContent = "Allow";
+      badges.appendChild(allowBadge);
+    }
+
     if (entry.requiresMasterPin) {
       const pinBadge = document.createElement("span");
       pinBadge.className = "entry-chip__badge entry-chip__badge--pin";
@@ -269,6 +509,21 @@ function renderEntries(entries, logsByEntryKey) {
       badges.appendChild(pinBadge);
     }
 
+    if (entry.unblockChallenge) {
+      const challengeBadge = document.createElement("span");
+      challengeBadge.className = "entry-chip__badge entry-chip__badge--pin";
+      challengeBadge.textContent = "Challenge";
+      badges.appendChild(challengeBadge);
+    }
+
+    if (isEntryLocked(entry)) {
+      const lockBadge = document.createElement("span");
+      lockBadge.className = "entry-chip__badge entry-chip__badge--locked";
+      lockBadge.textContent = `🔒 ${formatRemainingTime(getLockRemainingMs(entry))}`;
+      lockBadge.title = `Locked until ${new Date(entry.lockedUntil).toLocaleString()}`;
+      badges.appendChild(lockBadge);
+    }
+
     if (badges.childElementCount > 0) {
       chip.appendChild(badges);
     }
@@ -286,10 +541,141 @@ function renderEntries(entries, logsByEntryKey) {
     return;
   }
 
-  renderEntryDetails(entries[expandedIndex], expandedIndex, logsByEntryKey);
+  renderEntryDetails(
+    entries[expandedIndex],
+    expandedIndex,
+    entries,
+    logsByEntryKey,
+    usage,
+    groups,
+    ruleStatus.unenforced[expandedEntryKey],
+    ruleStatus.errors[expandedEntryKey],
+    intentions[expandedEntryKey]
+  );
+}
+
+/**
+ * Groups are listed from the entries that use them; stored records only hold on/off state.
+ */
+function renderGroups(entries, groups) {
+  const groupsByKey = new Map();
+  entries.forEach((entry) => {
+    if (!entry.group) {
+      return;
+    }
+
+    const key = groupKey(entry.group);
+    const current = groupsByKey.get(key) ?? {
+      name: findRuleGroup(groups, entry.group)?.name ?? entry.group,
+      count: 0
+    };
+    current.count += 1;
+    groupsByKey.set(key, current);
+  });
+
+  groupListEl.innerHTML = "";
+  groupNamesEl.innerHTML = "";
+  groupsSectionEl.hidden = groupsByKey.size === 0;
+
+  groupsByKey.forEach(({ name, count }) => {
+    const group = findRuleGroup(groups, name);
+    const isEnabled = isRuleGroupEnabled(group);
+
+    const option = document.createElement("option");
+    option.value = name;
+    groupNamesEl.appendChild(option);
+
+    const chipItem = document.createElement("li");
+    chipItem.className = "entry-chip-item";
+
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = `entry-chip${isEnabled ? "" : " entry-chip--off"}`;
+    chip.dataset.role = "toggle-group";
+    chip.dataset.groupName = name;
+    chip.setAttribute("aria-pressed", String(isEnabled));
+    chip.setAttribute("title", isEnabled ? `Turn ${name} off` : `Turn ${name} on`);
+
+    const chipValue = document.createElement("span");
+    chipValue.className = "entry-chip__value";
+    chipValue.textContent = `${name} (${count})`;
+
+    const statusBadge = document.createElement("span");
+    statusBadge.className = `entry-chip__badge entry-chip__badge--${isEnabled ? "sched-on" : "sched-off"}`;
+    statusBadge.textContent = formatGroupStatus(group);
+
+    chip.append(chipValue, statusBadge);
+    chipItem.appendChild(chip);
+    groupListEl.appendChild(chipItem);
+  });
+}
+
+function formatGroupStatus(group) {
+  if (!isRuleGroupEnabled(group)) {
+    return "Off";
+  }
+
+  if (group?.expiresAt) {
+    return `On · ${formatRemainingTime(Date.parse(group.expiresAt) - Date.now())}`;
+  }
+
+  return "On";
+}
+
+/**
+ * Ask the background to store one group's state. Switching protected rules off
+ * sooner asks for the PIN or the group's challenge first.
+ */
+async function saveRuleGroup(nextGroup) {
+  const save = async (credentials = {}) => {
+    const response = await sendEntryCommand(ENTRY_COMMANDS.SET_GROUP, { ...nextGroup, ...credentials });
+    if (!response.ok) {
+      return response;
+    }
+
+    const state = nextGroup.enabled ? "on" : "off";
+    setInlineMessage(groupMessageEl, `${nextGroup.name} turned ${state}.`, "ok");
+    return response;
+  };
+  const saveWithCredentials = async (credentials) => {
+    const response = await save(credentials);
+    return response.ok ? "" : response.error;
+  };
+
+  const response = await save();
+  if (response.pinRequired) {
+    openPinModal(`Enter master PIN to switch off protected rules in ${nextGroup.name}.`, saveWithCredentials);
+    return;
+  }
+
+  if (response.challengeRequired) {
+    const challengeError = await openChallengeModal(
+      `Complete the challenge to switch off rules in ${nextGroup.name}.`,
+      { groupName: nextGroup.name },
+      saveWithCredentials
+    );
+    if (challengeError) {
+      setInlineMessage(groupMessageEl, challengeError, "error");
+    }
+    return;
+  }
+
+  if (!response.ok) {
+    setInlineMessage(groupMessageEl, response.error, "error");
+  }
 }
 
-function renderEntryDetails(entry, index, logsByEntryKey) {
+function renderEntryDetails(
+  entry,
+  index,
+  entries,
+  logsByEntryKey,
+  usage,
+  groups,
+  unenforcedReason,
+  ruleError,
+  intentionHistory
+) {
   const panel = document.createElement("article");
   panel.className = "entry-details__panel";
 
@@ -305,18 +691,20 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
 
   const type = document.createElement("span");
   type.className = "entry-item__type";
-  type.textContent = `Type: ${entry.type}`;
+  type.textContent = `Type: ${entry.type}${entry.caseSensitive ? " (match case)" : ""}`;
+
+  if (entry.type === ENTRY_TYPES.PATTERN) {
+    const urlFilter = compilePatternToUrlFilter(entry.value);
+    type.textContent += urlFilter ? ` · compiled to urlFilter ${urlFilter}` : " · compiled to regex";
+  }
 
   const action = document.createElement("span");
   action.className = "entry-item__security";
-  action.textContent =
-    entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS
-      ? "Behavior: hide matching elements"
-      : "Behavior: block entire site";
+  action.textContent = formatBehaviorLabel(entry);
 
   const security = document.createElement("span");
   security.className = "entry-item__security";
-  security.textContent = entry.requiresMasterPin ? "Removal: PIN protected" : "Removal: open";
+  security.textContent = formatRemovalLabel(entry);
 
   const expiry = document.createElement("span");
   expiry.className = "entry-item__expiry";
@@ -324,6 +712,71 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
 
   meta.append(type, action, security, expiry);
 
+  const isLocked = isEntryLocked(entry);
+  if (isLocked) {
+    const lock = document.createElement("span");
+    lock.className = "entry-item__security";
+    lock.textContent =
+      `Locked until ${new Date(entry.lockedUntil).toLocaleString()} ` +
+      `(${formatRemainingTime(getLockRemainingMs(entry))} left): no removal, shortening or pausing`;
+    meta.appendChild(lock);
+  }
+
+  if (unenforcedReason) {
+    const unenforcedLine = document.createElement("span");
+    unenforcedLine.className = "entry-item__warning";
+    unenforcedLine.textContent =
+      UNENFORCED_MESSAGES[unenforcedReason] ?? UNENFORCED_MESSAGES[UNENFORCED_REASONS.RULE_LIMIT];
+    meta.appendChild(unenforcedLine);
+  }
+
+  if (ruleError) {
+    const errorLine = document.createElement("span");
+    errorLine.className = "entry-item__warning";
+    errorLine.textContent = `Chrome rejected this rule: ${ruleError}`;
+    meta.appendChild(errorLine);
+  }
+
+  if (entry.group) {
+    const group = document.createElement("span");
+    group.className = "entry-item__security";
+    group.textContent = `Group: ${entry.group} (${formatGroupStatus(findRuleGroup(groups, entry.group)).toLowerCase()})`;
+    meta.appendChild(group);
+  }
+
+  if (entry.action === ENTRY_ACTIONS.REDIRECT) {
+    const destination = document.createElement("span");
+    destination.className = "entry-item__security";
+    destination.append("Redirects to: ");
+
+    const destinationLink = document.createElement("a");
+    destinationLink.href = entry.redirectUrl;
+    destinationLink.target = "_blank";
+    destinationLink.rel = "noreferrer";
+    destinationLink.textContent = entry.redirectUrl;
+    destination.appendChild(destinationLink);
+    meta.appendChild(destination);
+  }
+
+  if (entry.blockMessage) {
+    const blockMessage = document.createElement("span");
+    blockMessage.className = "entry-item__security";
+    blockMessage.textContent = `Block-page message: "${entry.blockMessage}"`;
+    meta.appendChild(blockMessage);
+  }
+
+  if (entry.schedule) {
+    const schedule = document.createElement("span");
+    schedule.className = "entry-item__security";
+    schedule.textContent = `Schedule: ${formatSchedule(entry.schedule)}`;
+
+    const scheduleStatus = document.createElement("span");
+    scheduleStatus.className = "entry-item__expiry";
+    scheduleStatus.textContent = formatScheduleStatus(entry.schedule);
+
+    meta.append(schedule, scheduleStatus);
+  }
+
   if (entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
     const selectors = Array.isArray(entry.selectors) ? entry.selectors : [];
     const selectorSummary = document.createElement("span");
@@ -335,6 +788,39 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
     meta.appendChild(selectorSummary);
   }
 
+  if (entry.dailyBudgetMinutes) {
+    const remainingMs = getBudgetRemainingMs(entry, usage, entryKeyFromEntry(entry));
+    const budget = document.createElement("span");
+    budget.className = "entry-item__expiry";
+    budget.textContent =
+      remainingMs > 0
+        ? `Budget: ${entry.dailyBudgetMinutes}m/day, ${formatRemainingTime(remainingMs)} left today`
+        : `Budget: ${entry.dailyBudgetMinutes}m/day, used up until the daily reset`;
+    meta.appendChild(budget);
+  }
+
+  if (entry.dailyVisitLimit) {
+    const visitsLeft = getVisitsRemaining(entry, usage, entryKeyFromEntry(entry));
+    const visits = document.createElement("span");
+    visits.className = "entry-item__expiry";
+    visits.textContent =
+      visitsLeft > 0
+        ? `Visits: ${entry.dailyVisitLimit - visitsLeft} of ${entry.dailyVisitLimit} used today`
+        : `Visits: limit of ${entry.dailyVisitLimit} reached until the daily reset`;
+    meta.appendChild(visits);
+  }
+
+  if (entry.action === ENTRY_ACTIONS.ALLOW) {
+    const overridden = getOverriddenEntries(entry, entries);
+    const overrides = document.createElement("span");
+    overrides.className = "entry-item__security";
+    overrides.textContent =
+      overridden.length > 0
+        ? `Overrides: ${overridden.map((item) => item.value).join(" | ")}`
+        : "Overrides: no current block rules";
+    meta.appendChild(overrides);
+  }
+
   const logBucket = Array.isArray(logsByEntryKey[entryKeyFromEntry(entry)])
     ? logsByEntryKey[entryKeyFromEntry(entry)]
     : [];
@@ -345,7 +831,8 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
   if (logBucket.length === 0) {
     const emptyLog = document.createElement("li");
     emptyLog.className = "entry-item__log entry-item__log--empty";
-    emptyLog.textContent = "No blocked hits yet.";
+    emptyLog.textContent =
+      entry.action === ENTRY_ACTIONS.ALLOW ? "No allowed hits yet." : "No blocked hits yet.";
     blockedSites.appendChild(emptyLog);
   } else {
     logBucket.forEach((hit) => {
@@ -367,13 +854,22 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
 
   meta.appendChild(blockedSites);
 
+  if (entry.action === ENTRY_ACTIONS.INTERSTITIAL) {
+    meta.appendChild(renderIntentionHistory(intentionHistory));
+  }
+
   const removeButton = document.createElement("button");
   removeButton.type = "button";
   removeButton.className = "entry-item__remove";
   removeButton.textContent = "Remove";
-  removeButton.dataset.index = String(index);
+  removeButton.dataset.entryKey = entryKeyFromEntry(entry);
   removeButton.dataset.protected = entry.requiresMasterPin ? "true" : "false";
+  removeButton.dataset.challenge = entry.unblockChallenge ? "true" : "false";
   removeButton.dataset.role = "remove";
+  removeButton.disabled = isLocked;
+  if (isLocked) {
+    removeButton.title = "Locked rules cannot be removed until the lock ends.";
+  }
 
   details.append(meta, removeButton);
   panel.append(title, details);
@@ -381,6 +877,91 @@ function renderEntryDetails(entry, index, logsByEntryKey) {
   entryDetailsEl.appendChild(panel);
 }
 
+/**
+ * What the user said they came for on past visits, newest first.
+ */
+function renderIntentionHistory(intentionHistory) {
+  const list = document.createElement("ul");
+  list.className = "entry-item__logs";
+  list.setAttribute("aria-label", "Recent intentions");
+
+  const items = Array.isArray(intentionHistory) ? intentionHistory : [];
+  if (items.length === 0) {
+    const emptyItem = document.createElement("li");
+    emptyItem.className = "entry-item__log entry-item__log--empty";
+    emptyItem.textContent = "No intentions recorded yet.";
+    list.appendChild(emptyItem);
+    return list;
+  }
+
+  items.forEach((item) => {
+    const intentionItem = document.createElement("li");
+    intentionItem.className = "entry-item__log";
+
+    const intention = document.createElement("span");
+    intention.className = "entry-item__log-site";
+    intention.textContent = `"${item.intention}" (${item.site})`;
+
+    const time = document.createElement("span");
+    time.className = "entry-item__log-count";
+    time.textContent = new Date(item.at).toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+
+    intentionItem.append(intention, time);
+    list.appendChild(intentionItem);
+  });
+
+  return list;
+}
+
+function formatRemovalLabel(entry) {
+  if (entry.requiresMasterPin) {
+    return "Removal: PIN protected";
+  }
+
+  if (entry.unblockChallenge?.type === CHALLENGE_TYPES.TYPING) {
+    return "Removal: type a random passage first";
+  }
+
+  if (entry.unblockChallenge?.type === CHALLENGE_TYPES.COUNTDOWN) {
+    return `Removal: wait ${formatRemainingTime(entry.unblockChallenge.seconds * 1000)} first`;
+  }
+
+  return "Removal: open";
+}
+
+function formatBehaviorLabel(entry) {
+  if (entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
+    return "Behavior: hide matching elements";
+  }
+
+  if (entry.action === ENTRY_ACTIONS.INTERSTITIAL) {
+    return `Behavior: ask for an intention and wait ${getInterstitialSeconds(entry)}s`;
+  }
+
+  if (entry.action === ENTRY_ACTIONS.REDIRECT) {
+    return "Behavior: redirect page loads";
+  }
+
+  if (entry.dailyBudgetMinutes) {
+    return "Behavior: block once the daily budget is used";
+  }
+
+  if (entry.dailyVisitLimit) {
+    return "Behavior: block once the daily visit limit is reached";
+  }
+
+  if (entry.action === ENTRY_ACTIONS.ALLOW) {
+    return "Behavior: allow exception";
+  }
+
+  return "Behavior: block entire site";
+}
+
 function formatExpiryLabel(entry) {
   if (!entry.expiresAt) {
     return "Duration: Indefinite";
@@ -391,19 +972,40 @@ function formatExpiryLabel(entry) {
     return "Duration: Expired";
   }
 
+  return `Duration: ${formatRemainingTime(remainingMs)} left`;
+}
+
+function formatRemainingTime(remainingMs) {
   if (remainingMs < 60 * 1000) {
-    return `Duration: ${Math.ceil(remainingMs / 1000)}s left`;
+    return `${Math.ceil(remainingMs / 1000)}s`;
   }
 
   if (remainingMs < 60 * 60 * 1000) {
-    return `Duration: ${Math.ceil(remainingMs / (60 * 1000))}m left`;
+    return `${Math.ceil(remainingMs / (60 * 1000))}m`;
   }
 
   if (remainingMs < 24 * 60 * 60 * 1000) {
-    return `Duration: ${Math.ceil(remainingMs / (60 * 60 * 1000))}h left`;
+    return `${Math.ceil(remainingMs / (60 * 60 * 1000))}h`;
+  }
+
+  return `${Math.ceil(remainingMs / (24 * 60 * 60 * 1000))}d`;
+}
+
+function formatScheduleBadge(schedule, isActive) {
+  const nextTransition = getNextScheduleTransition(schedule);
+  const stateLabel = isActive ? "On" : "Off";
+  return nextTransition ? `${stateLabel} · ${formatTransitionTime(nextTransition)}` : stateLabel;
+}
+
+function formatScheduleStatus(schedule) {
+  const isActive = isScheduleActive(schedule);
+  const nextTransition = getNextScheduleTransition(schedule);
+  if (!nextTransition) {
+    return isActive ? "Schedule: active now" : "Schedule: inactive now";
   }
 
-  return `Duration: ${Math.ceil(remainingMs / (24 * 60 * 60 * 1000))}d left`;
+  const at = formatTransitionTime(nextTransition);
+  return isActive ? `Schedule: active until ${at}` : `Schedule: inactive until ${at}`;
 }
 
 function buildEntryFromForm() {
@@ -419,12 +1021,111 @@ function buildEntryFromForm() {
     return { error: duration.error };
   }
 
+  let schedule = null;
+  if (useScheduleCheckbox.checked) {
+    schedule = parseScheduleText(scheduleInput.value);
+    if (!schedule) {
+      return { error: "Enter a schedule like Mon-Fri 09:00-12:30, 13:30-17:30" };
+    }
+  }
+
+  let dailyBudgetMinutes = null;
+  if (useDailyBudgetCheckbox.checked) {
+    dailyBudgetMinutes = normalizeDailyBudget(dailyBudgetInput.value);
+    if (!dailyBudgetMinutes) {
+      return { error: "Daily budget must be a positive whole number of minutes." };
+    }
+  }
+
+  let dailyVisitLimit = null;
+  if (useVisitLimitCheckbox.checked) {
+    dailyVisitLimit = normalizeDailyVisitLimit(visitLimitInput.value);
+    if (!dailyVisitLimit) {
+      return { error: "Visit limit must be a positive whole number." };
+    }
+  }
+
+  if (dailyBudgetMinutes && dailyVisitLimit) {
+    return { error: "Choose either a daily time budget or a visit limit." };
+  }
+
+  if (dailyVisitLimit && type !== ENTRY_TYPES.DOMAIN) {
+    return { error: "Visit limits only apply to domain rules." };
+  }
+
   const requiresMasterPin = Boolean(requiresMasterPinCheckbox.checked);
-  const action = useAdvancedOptionsCheckbox.checked
-    ? ENTRY_ACTIONS.HIDE_ELEMENTS
-    : ENTRY_ACTIONS.BLOCK;
+
+  let unblockChallenge = null;
+  if (useUnblockChallengeCheckbox.checked) {
+    if (requiresMasterPin) {
+      return { error: "Choose either PIN protection or an unblock challenge." };
+    }
+
+    if (unblockChallengeTypeSelect.value === CHALLENGE_TYPES.COUNTDOWN) {
+      const seconds = normalizeCountdownSeconds(unblockCountdownInput.value);
+      if (!seconds || seconds !== Number(unblockCountdownInput.value)) {
+        return { error: "Countdown must be a whole number of seconds between 5 and 86400." };
+      }
+      unblockChallenge = { type: CHALLENGE_TYPES.COUNTDOWN, seconds };
+    } else {
+      unblockChallenge = { type: CHALLENGE_TYPES.TYPING };
+    }
+  }
+
+  let lockedUntil = null;
+  if (useCommitmentLockCheckbox.checked) {
+    // datetime-local values carry no zone, so they parse as local time.
+    const lockedUntilMs = Date.parse(lockedUntilInput.value);
+    if (!Number.isFinite(lockedUntilMs) || lockedUntilMs <= Date.now()) {
+      return { error: "Choose a lock end time in the future." };
+    }
+
+    if (duration.expiresAt && lockedUntilMs > Date.parse(duration.expiresAt)) {
+      return { error: "A commitment lock cannot outlast the rule's duration." };
+    }
+    lockedUntil = new Date(lockedUntilMs).toISOString();
+  }
+
+  const isAllowException = actionSelect.value === ENTRY_ACTIONS.ALLOW;
+  const isInterstitial = actionSelect.value === ENTRY_ACTIONS.INTERSTITIAL;
+  const isRedirect = actionSelect.value === ENTRY_ACTIONS.REDIRECT;
+  if ((isAllowException || isInterstitial || isRedirect) && useAdvancedOptionsCheckbox.checked) {
+    return { error: "Advanced options only apply to block rules." };
+  }
+
+  let interstitialSeconds = null;
+  if (isInterstitial) {
+    interstitialSeconds = normalizeInterstitialSeconds(interstitialSecondsInput.value);
+    if (!interstitialSeconds || interstitialSeconds !== Number(interstitialSecondsInput.value)) {
+      return {
+        error:
+          `The wait must be a whole number of seconds between ${MIN_INTERSTITIAL_SECONDS} ` +
+          `and ${MAX_INTERSTITIAL_SECONDS}.`
+      };
+    }
+  }
+
+  let action = ENTRY_ACTIONS.BLOCK;
+  if (isAllowException) {
+    action = ENTRY_ACTIONS.ALLOW;
+  } else if (isInterstitial) {
+    action = ENTRY_ACTIONS.INTERSTITIAL;
+  } else if (isRedirect) {
+    action = ENTRY_ACTIONS.REDIRECT;
+  } else if (useAdvancedOptionsCheckbox.checked) {
+    action = ENTRY_ACTIONS.HIDE_ELEMENTS;
+  }
   const selectors = action === ENTRY_ACTIONS.HIDE_ELEMENTS ? normalizeSelectorInput(selectorsInput.value) : [];
 
+  if ((dailyBudgetMinutes || dailyVisitLimit) && action !== ENTRY_ACTIONS.BLOCK) {
+    return { error: "Daily budgets and visit limits only apply to block rules." };
+  }
+
+  const blockMessage = normalizeBlockMessage(blockMessageInput.value);
+  if (blockMessage && action !== ENTRY_ACTIONS.BLOCK && action !== ENTRY_ACTIONS.INTERSTITIAL) {
+    return { error: "Block-page messages only apply to block and interstitial rules." };
+  }
+
   if (action === ENTRY_ACTIONS.HIDE_ELEMENTS && selectors.length === 0) {
     return { error: "Add at least one CSS selector in Advanced options." };
   }
@@ -436,6 +1137,22 @@ function buildEntryFromForm() {
     }
   }
 
+  const optionalFields = {
+    group: normalizeGroupName(groupInput.value),
+    expiresAt: duration.expiresAt,
+    schedule,
+    dailyBudgetMinutes,
+    dailyVisitLimit,
+    requiresMasterPin,
+    unblockChallenge,
+    lockedUntil,
+    action,
+    selectors,
+    interstitialSeconds,
+    blockMessage,
+    redirectUrl: redirectUrlInput.value
+  };
+
   if (type === ENTRY_TYPES.DOMAIN) {
     const domain = normalizeDomain(value);
     if (!domain) {
@@ -443,28 +1160,121 @@ function buildEntryFromForm() {
     }
 
     const entry = { type: ENTRY_TYPES.DOMAIN, value: domain };
-    return { entry: applyOptionalFields(entry, duration.expiresAt, requiresMasterPin, action, selectors) };
+    return { entry: applyOptionalFields(entry, optionalFields) };
+  }
+
+  if (type === ENTRY_TYPES.REGEX) {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return { error: `Invalid regex: ${error.message}` };
+    }
+
+    const regexEntry = { type: ENTRY_TYPES.REGEX, value };
+    return { entry: applyOptionalFields(regexEntry, optionalFields) };
+  }
+
+  if (type === ENTRY_TYPES.KEYWORD) {
+    const caseSensitive = keywordCaseSensitiveCheckbox.checked;
+    const keyword = normalizeKeyword(value, caseSensitive);
+    if (!keyword) {
+      return {
+        error: `Keywords need at least ${MIN_KEYWORD_LENGTH} ASCII characters, without spaces, *, | or ^.`
+      };
+    }
+
+    const keywordEntry = { type: ENTRY_TYPES.KEYWORD, value: keyword };
+    if (caseSensitive) {
+      keywordEntry.caseSensitive = true;
+    }
+    return { entry: applyOptionalFields(keywordEntry, optionalFields) };
   }
 
   const patternEntry = { type: ENTRY_TYPES.PATTERN, value };
-  return { entry: applyOptionalFields(patternEntry, duration.expiresAt, requiresMasterPin, action, selectors) };
+  return { entry: applyOptionalFields(patternEntry, optionalFields) };
+}
+
+/**
+ * DNR rejects an entire updateDynamicRules batch if one regex is unsupported,
+ * so check regex entries against Chrome's RE2 engine before saving them.
+ */
+async function getRegexSupportError(regex) {
+  const result = await chrome.declarativeNetRequest.isRegexSupported({ regex, isCaseSensitive: false });
+  if (result.isSupported) {
+    return "";
+  }
+
+  return UNSUPPORTED_REGEX_MESSAGES[result.reason] ?? "Chrome cannot use this regex.";
 }
 
-function applyOptionalFields(baseEntry, expiresAt, requiresMasterPin, action, selectors) {
+function applyOptionalFields(
+  baseEntry,
+  {
+    group,
+    expiresAt,
+    schedule,
+    dailyBudgetMinutes,
+    dailyVisitLimit,
+    requiresMasterPin,
+    unblockChallenge,
+    lockedUntil,
+    action,
+    selectors,
+    interstitialSeconds,
+    blockMessage,
+    redirectUrl
+  }
+) {
   let nextEntry = { ...baseEntry, action };
 
+  if (group) {
+    nextEntry = { ...nextEntry, group };
+  }
+
   if (expiresAt) {
     nextEntry = { ...nextEntry, expiresAt };
   }
 
+  if (schedule) {
+    nextEntry = { ...nextEntry, schedule };
+  }
+
+  if (dailyBudgetMinutes) {
+    nextEntry = { ...nextEntry, dailyBudgetMinutes };
+  }
+
+  if (dailyVisitLimit) {
+    nextEntry = { ...nextEntry, dailyVisitLimit };
+  }
+
   if (requiresMasterPin) {
     nextEntry = { ...nextEntry, requiresMasterPin: true };
   }
 
+  if (unblockChallenge) {
+    nextEntry = { ...nextEntry, unblockChallenge };
+  }
+
+  if (lockedUntil) {
+    nextEntry = { ...nextEntry, lockedUntil };
+  }
+
   if (action === ENTRY_ACTIONS.HIDE_ELEMENTS && selectors.length > 0) {
     nextEntry = { ...nextEntry, selectors };
   }
 
+  if (action === ENTRY_ACTIONS.INTERSTITIAL && interstitialSeconds) {
+    nextEntry = { ...nextEntry, interstitialSeconds };
+  }
+
+  if (blockMessage) {
+    nextEntry = { ...nextEntry, blockMessage };
+  }
+
+  if (action === ENTRY_ACTIONS.REDIRECT) {
+    nextEntry = { ...nextEntry, redirectUrl: redirectUrl.trim() };
+  }
+
   return nextEntry;
 }
 
@@ -486,47 +1296,12 @@ function isValidCssSelector(selector) {
   }
 }
 
-function getDurationSortValue(expiresAt) {
-  if (!expiresAt) {
-    return Number.POSITIVE_INFINITY;
-  }
+function buildDurationFromForm() {
+  const preset = selectedDurationTemplate;
 
-  const timestamp = Date.parse(expiresAt);
-  return Number.isFinite(timestamp) ? timestamp : 0;
-}
-
-function keepLongestDurationEntry(existingEntry, incomingEntry) {
-  const existingDuration = getDurationSortValue(existingEntry.expiresAt);
-  const incomingDuration = getDurationSortValue(incomingEntry.expiresAt);
-  const longestDuration = Math.max(existingDuration, incomingDuration);
-
-  const merged = {
-    type: incomingEntry.type,
-    value: incomingEntry.value,
-    action: incomingEntry.action
-  };
-
-  if (Number.isFinite(longestDuration) && longestDuration > 0) {
-    merged.expiresAt = new Date(longestDuration).toISOString();
-  }
-
-  if (existingEntry.requiresMasterPin || incomingEntry.requiresMasterPin) {
-    merged.requiresMasterPin = true;
-  }
-
-  if (incomingEntry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
-    merged.selectors = Array.isArray(incomingEntry.selectors) ? incomingEntry.selectors : [];
-  }
-
-  return merged;
-}
-
-function buildDurationFromForm() {
-  const preset = selectedDurationTemplate;
-
-  if (preset === "indefinite") {
-    return { expiresAt: null };
-  }
+  if (preset === "indefinite") {
+    return { expiresAt: null };
+  }
 
   if (preset in PRESET_DURATION_MS) {
     return {
@@ -567,6 +1342,37 @@ function applyDurationTemplate(preset) {
   customDurationRow.hidden = preset !== "custom";
 }
 
+function updateValuePlaceholder() {
+  valueInput.placeholder = VALUE_PLACEHOLDERS[typeSelect.value] ?? "";
+  keywordCaseRow.hidden = typeSelect.value !== ENTRY_TYPES.KEYWORD;
+}
+
+function updateScheduleUiState() {
+  scheduleRow.hidden = !useScheduleCheckbox.checked;
+}
+
+function updateDailyBudgetUiState() {
+  dailyBudgetRow.hidden = !useDailyBudgetCheckbox.checked;
+}
+
+function updateActionUiState() {
+  interstitialSecondsRow.hidden = actionSelect.value !== ENTRY_ACTIONS.INTERSTITIAL;
+  redirectUrlRow.hidden = actionSelect.value !== ENTRY_ACTIONS.REDIRECT;
+}
+
+function updateVisitLimitUiState() {
+  visitLimitRow.hidden = !useVisitLimitCheckbox.checked;
+}
+
+function updateUnblockChallengeUiState() {
+  unblockChallengeRow.hidden = !useUnblockChallengeCheckbox.checked;
+  unblockCountdownRow.hidden = unblockChallengeTypeSelect.value !== CHALLENGE_TYPES.COUNTDOWN;
+}
+
+function updateCommitmentLockUiState() {
+  commitmentLockRow.hidden = !useCommitmentLockCheckbox.checked;
+}
+
 function updateAdvancedUiState() {
   selectorsRow.hidden = !useAdvancedOptionsCheckbox.checked;
 }
@@ -775,60 +1581,485 @@ function createOtpInputGroup(container, idPrefix) {
 }
 
 async function refreshList() {
-  const { entries, logs } = await getStoredState();
-  renderEntries(entries, logs);
+  const { entries, logs, usage, focusSession, groups, ruleStatus, intentions } = await getStoredState();
+  renderEntries(entries, logs, usage, focusSession, groups, ruleStatus, intentions);
+  renderGroups(entries, groups);
+  renderFocusPanel(entries, focusSession);
+  await refreshRuleCapacity();
 }
 
-async function refreshSecurityState() {
-  const currentHash = await getMasterPinHash();
-  hasMasterPin = Boolean(currentHash);
+/**
+ * Show how much of Chrome's dynamic rule and regex rule limits the installed rules use.
+ * Session rules only appear once the dynamic set has overflowed into them. Block page
+ * redirects are regex rules too, even for domains, so their share is called out.
+ */
+async function refreshRuleCapacity() {
+  const rules = await chrome.declarativeNetRequest.getDynamicRules();
+  const sessionRules = await chrome.declarativeNetRequest.getSessionRules();
+  const maxRegexRules = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES ?? MAX_REGEX_RULES;
+  const sessionSummary = sessionRules.length > 0 ? ` (+${sessionRules.length} session)` : "";
+  const regexCount = countRegexRules(rules) + countRegexRules(sessionRules);
+  const blockPageCount = countBlockPageRegexRules(rules) + countBlockPageRegexRules(sessionRules);
+  const blockPageSummary = blockPageCount > 0 ? ` (${blockPageCount} for block page redirects)` : "";
+  ruleCapacityEl.textContent =
+    `Chrome rules in use: ${rules.length} / ${MAX_DYNAMIC_RULES}${sessionSummary} · ` +
+    `regex: ${regexCount} / ${maxRegexRules}${blockPageSummary}`;
+}
 
-  newPinLabel.textContent = hasMasterPin ? "Reset PIN" : "Set PIN";
+/**
+ * Setup fields and the rule checklist are only shown while no session runs.
+ */
+function renderFocusPanel(entries, focusSession) {
+  currentFocusSession = focusSession;
+  focusSetupEl.hidden = Boolean(focusSession);
+  focusStartButton.disabled = Boolean(focusSession);
+  focusSkipButton.disabled = !focusSession;
+  focusStopButton.disabled = !focusSession;
+  renderFocusCountdown();
+
+  if (focusSession) {
+    return;
+  }
+
+  const selectedKeys = new Set(getSelectedFocusEntryKeys());
+  focusEntriesEl.innerHTML = "";
+
+  if (entries.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "advanced-options__hint";
+    empty.textContent = "Add a rule first.";
+    focusEntriesEl.appendChild(empty);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const entryKey = entryKeyFromEntry(entry);
+    const option = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = entryKey;
+    checkbox.checked = selectedKeys.has(entryKey);
+
+    const value = document.createElement("code");
+    value.textContent = entry.value;
+
+    option.append(checkbox, value);
+    focusEntriesEl.appendChild(option);
+  });
+}
+
+function renderFocusCountdown() {
+  const session = advanceFocusSession(currentFocusSession);
+  if (!session) {
+    focusStatusEl.textContent = "Not running";
+    return;
+  }
+
+  const phaseLabel = session.phase === FOCUS_PHASES.WORK ? "Work" : "Break";
+  const countdown = formatCountdown(getFocusPhaseRemainingMs(session));
+  focusStatusEl.textContent = `${phaseLabel} ${session.cycle}/${session.cycles} · ${countdown}`;
+}
+
+function formatCountdown(remainingMs) {
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+function getSelectedFocusEntryKeys() {
+  return Array.from(focusEntriesEl.querySelectorAll("input[type='checkbox']:checked")).map(
+    (checkbox) => checkbox.value
+  );
+}
+
+async function refreshSecurityState() {
+  const storage = await chrome.storage.local.get([
+    MASTER_PIN_HASH_KEY,
+    RECOVERY_CODE_HASHES_KEY,
+    TAMPER_LOG_KEY
+  ]);
+  hasMasterPin = Boolean(storage[MASTER_PIN_HASH_KEY]);
+  const recoveryCodesLeft = Array.isArray(storage[RECOVERY_CODE_HASHES_KEY])
+    ? storage[RECOVERY_CODE_HASHES_KEY].length
+    : 0;
+
+  const tamperLog = Array.isArray(storage[TAMPER_LOG_KEY]) ? storage[TAMPER_LOG_KEY] : [];
+  tamperStatusEl.hidden = tamperLog.length === 0;
+  tamperStatusEl.textContent =
+    tamperLog.length > 0
+      ? `Undid ${tamperLog.length} unauthorized change(s) to protected rules, ` +
+        `last ${new Date(tamperLog[0].at).toLocaleString()} (${tamperLog[0].entryKey}).`
+      : "";
+
+  newPinLabel.textContent = hasMasterPin ? "New PIN" : "Set PIN";
   settingsHelperEl.textContent = hasMasterPin
-    ? "You can reset your 6-digit PIN directly at any time."
+    ? "Changing your PIN asks for the current one (or a recovery code). " +
+      `Recovery codes left: ${recoveryCodesLeft}.`
     : "No PIN set yet. Create a new 6-digit PIN.";
 }
 
-async function removeEntryAtIndex(index) {
-  const { entries } = await getStoredState();
-  if (index < 0 || index >= entries.length) {
-    return;
+/**
+ * Sites opened with "Continue anyway" from the block page, newest first, with the reason given.
+ */
+async function refreshBypassLog() {
+  const storage = await chrome.storage.local.get(BYPASS_LOG_KEY);
+  const bypassLog = Array.isArray(storage[BYPASS_LOG_KEY]) ? storage[BYPASS_LOG_KEY] : [];
+
+  bypassLogEl.replaceChildren(
+    ...bypassLog.map((item) => {
+      const row = document.createElement("li");
+      row.textContent = `${new Date(item.at).toLocaleString()} · ${item.site}`;
+
+      const reason = document.createElement("span");
+      reason.className = "bypass-log__reason";
+      reason.textContent = item.reason ? ` · "${item.reason}"` : " · no reason given";
+      row.appendChild(reason);
+      return row;
+    })
+  );
+  bypassLogEl.hidden = bypassLog.length === 0;
+  bypassLogEmptyEl.hidden = bypassLog.length > 0;
+}
+
+async function getBlockPageSettings() {
+  const storage = await chrome.storage.local.get(BLOCK_PAGE_SETTINGS_KEY);
+  return normalizeBlockPageSettings(storage[BLOCK_PAGE_SETTINGS_KEY]);
+}
+
+async function saveBlockPageSettings(changes) {
+  const settings = await getBlockPageSettings();
+  await chrome.storage.local.set({
+    [BLOCK_PAGE_SETTINGS_KEY]: normalizeBlockPageSettings({ ...settings, ...changes })
+  });
+}
+
+/**
+ * The alternatives list always follows storage; the message and theme fields only
+ * when `syncFields` is set, so edits in progress are not overwritten.
+ */
+async function refreshBlockPageState({ syncFields = false } = {}) {
+  const settings = await getBlockPageSettings();
+  if (syncFields) {
+    blockPageMessagesInput.value = settings.messages.join("\n");
+    blockPageThemeSelect.value = settings.theme;
+    blockPageAccentInput.value = settings.accent;
+  }
+
+  alternativeListEl.replaceChildren(
+    ...settings.alternatives.map(({ label, url }, index) => {
+      const item = document.createElement("li");
+      item.className = "alternative-list__item";
+
+      const link = document.createElement("a");
+      link.className = "alternative-list__link";
+      link.href = url;
+      link.target = "_blank";
+      link.rel = "noreferrer";
+      link.title = url;
+      link.textContent = label;
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "entry-item__remove";
+      removeButton.textContent = "Remove";
+      removeButton.dataset.index = String(index);
+
+      item.append(link, removeButton);
+      return item;
+    })
+  );
+  alternativeAddButton.disabled = settings.alternatives.length >= MAX_ALTERNATIVES;
+}
+
+/**
+ * Each recovery code removes one protected rule (or unlocks one PIN prompt) if the PIN is lost.
+ */
+function renderRecoveryCodes(codes) {
+  recoveryCodesEl.innerHTML = "";
+  recoveryCodesEl.hidden = codes.length === 0;
+
+  codes.forEach((code) => {
+    const item = document.createElement("li");
+    item.textContent = code;
+    recoveryCodesEl.appendChild(item);
+  });
+}
+
+async function getAllowlistMode() {
+  const storage = await chrome.storage.local.get(ALLOWLIST_MODE_KEY);
+  return normalizeAllowlistMode(storage[ALLOWLIST_MODE_KEY]);
+}
+
+async function refreshAllowlistState({ syncDomains = false } = {}) {
+  const mode = await getAllowlistMode();
+  const isActive = isAllowlistModeActive(mode);
+
+  if (syncDomains) {
+    allowlistDomainsInput.value = mode.domains.join("\n");
+  }
+
+  if (!isActive) {
+    allowlistStatusEl.textContent = "Status: off";
+  } else if (mode.expiresAt) {
+    allowlistStatusEl.textContent = `Status: active, ${formatRemainingTime(Date.parse(mode.expiresAt) - Date.now())} left`;
+  } else {
+    allowlistStatusEl.textContent = "Status: active until turned off";
+  }
+
+  allowlistStopButton.disabled = !isActive;
+}
+
+function parseAllowlistDomains(rawValue) {
+  const lines = String(rawValue ?? "")
+    .split(/\r?\n|,/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const invalid = lines.find((line) => !normalizeDomain(line));
+  if (invalid) {
+    return { error: `Invalid domain: ${invalid}` };
+  }
+
+  return { domains: Array.from(new Set(lines.map((line) => normalizeDomain(line)))) };
+}
+
+async function refreshPauseState({ syncDelay = false } = {}) {
+  const storage = await chrome.storage.local.get([
+    PAUSE_STATE_KEY,
+    PAUSE_DELAY_SECONDS_KEY,
+    PAUSE_DELAY_CHANGE_KEY
+  ]);
+  currentPauseState = normalizePauseState(storage[PAUSE_STATE_KEY]);
+  currentPauseDelayChange = normalizePauseDelayChange(storage[PAUSE_DELAY_CHANGE_KEY]);
+
+  if (syncDelay) {
+    pauseDelayInput.value = String(normalizePauseDelaySeconds(storage[PAUSE_DELAY_SECONDS_KEY]));
+  }
+
+  renderPauseState();
+}
+
+function renderPauseState() {
+  const isPaused = isPauseActive(currentPauseState);
+  const countdown = getPauseCountdown();
+  pauseBannerEl.hidden = !isPaused;
+  pauseStartButton.disabled = Boolean(countdown);
+  pauseCancelButton.disabled = !countdown;
+  savePauseDelayButton.disabled = Boolean(countdown);
+
+  if (wasPauseCountingDown && isPaused) {
+    const minutes = Math.round(
+      (Date.parse(currentPauseState.until) - Date.parse(currentPauseState.startsAt)) / 60_000
+    );
+    setInlineMessage(pauseMessageEl, `Blocking paused for ${minutes} minutes.`, "ok");
+  }
+  wasPauseCountingDown = isPausePending(currentPauseState);
+
+  if (countdown) {
+    const secondsLeft = Math.max(0, Math.ceil((countdown.endsAtMs - Date.now()) / 1000));
+    pauseStatusEl.textContent = `${countdown.label} in ${secondsLeft}s.`;
+  } else if (isPaused) {
+    pauseStatusEl.textContent = "Status: paused";
+  } else {
+    pauseStatusEl.textContent = "Status: blocking";
+  }
+
+  if (isPaused) {
+    const remaining = formatRemainingTime(Date.parse(currentPauseState.until) - Date.now());
+    const scope = formatPauseScope(currentPauseState);
+    pauseBannerTextEl.textContent = `Blocking paused for ${scope} · ${remaining} left`;
+  }
+}
+
+/**
+ * The pause or waiting-time change the background is counting down to, if any.
+ * The countdown keeps running when the popup closes.
+ */
+function getPauseCountdown() {
+  if (isPausePending(currentPauseState)) {
+    return { label: "Pause starts", endsAtMs: Date.parse(currentPauseState.startsAt) };
+  }
+
+  if (currentPauseDelayChange) {
+    return { label: "New waiting time applies", endsAtMs: Date.parse(currentPauseDelayChange.appliesAt) };
+  }
+
+  return null;
+}
+
+function formatPauseScope(pauseState) {
+  if (pauseState.includesProtected && pauseState.includesChallenged) {
+    return "all rules";
+  }
+
+  if (pauseState.includesProtected) {
+    return "all rules except challenge rules";
+  }
+
+  return pauseState.includesChallenged ? "all rules except PIN-protected ones" : "unprotected rules";
+}
+
+function updatePausePinUiState() {
+  pausePinRow.hidden = !pauseIncludeProtectedCheckbox.checked;
+}
+
+async function refreshResetTimeState() {
+  const storage = await chrome.storage.local.get(DAILY_RESET_TIME_KEY);
+  dailyResetTimeInput.value = normalizeResetTime(storage[DAILY_RESET_TIME_KEY]);
+}
+
+/**
+ * Returns the background's error for protected rules with a wrong PIN or an
+ * unfinished challenge, otherwise "".
+ */
+async function removeEntryByKey(entryKey, credentials = {}) {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.REMOVE, { entryKey, ...credentials });
+  if (!response.ok) {
+    return response.error;
   }
 
-  entries.splice(index, 1);
-  await saveEntries(entries);
   setMessage("Rule removed.", "ok");
   await refreshList();
+  return "";
 }
 
-function openPinModalForIndex(index) {
-  pendingRemovalIndex = index;
+/**
+ * Ask for the master PIN (or a recovery code) before running a protected action.
+ * With a `challenge` from the background the modal shows it instead of the PIN boxes.
+ */
+function openPinModal(text, action, challenge = null) {
+  pendingPinAction = action;
+  pendingChallenge = challenge;
+  pinModalTitleEl.textContent = challenge ? "Unblock Challenge" : "PIN Required";
+  pinModalTextEl.textContent = text;
+  pinModalCredentialsEl.hidden = Boolean(challenge);
+  challengeFieldsEl.hidden = !challenge;
   removePinOtp.clear();
+  removeRecoveryCodeInput.value = "";
+  challengeAnswerInput.value = "";
   clearInlineMessage(pinModalMessageEl);
   pinModal.hidden = false;
-  removePinOtp.focusFirst();
+
+  if (!challenge) {
+    removePinOtp.focusFirst();
+    return;
+  }
+
+  challengePassageEl.hidden = !challenge.passage;
+  challengePassageEl.textContent = challenge.passage ?? "";
+  challengeAnswerInput.hidden = !challenge.passage;
+  updateChallengeCountdown();
+  challengeTickerId = window.setInterval(updateChallengeCountdown, 1000);
+  if (challenge.passage) {
+    challengeAnswerInput.focus();
+  }
+}
+
+/**
+ * Start a challenge in the background and show it. `target` is { entryKey } for one
+ * rule, { groupName } for switching off a group's rules, or {} to unlock pausing.
+ * Returns an error or "".
+ */
+async function openChallengeModal(text, target, action) {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.START_CHALLENGE, target);
+  if (!response.ok) {
+    return response.error;
+  }
+
+  openPinModal(text, action, response.challenge);
+  return "";
+}
+
+function updateChallengeCountdown() {
+  const remainingMs = pendingChallenge?.readyAt ? Date.parse(pendingChallenge.readyAt) - Date.now() : 0;
+  pinConfirmButton.disabled = remainingMs > 0;
+  challengeCountdownEl.hidden = !pendingChallenge?.readyAt;
+  challengeCountdownEl.textContent =
+    remainingMs > 0 ? `Confirm unlocks in ${formatRemainingTime(remainingMs)}.` : "You can confirm now.";
 }
 
 function closePinModal() {
   pinModal.hidden = true;
-  pendingRemovalIndex = -1;
+  pendingPinAction = null;
+  pendingChallenge = null;
+  window.clearInterval(challengeTickerId);
+  challengeTickerId = null;
+  pinConfirmButton.disabled = false;
   removePinOtp.clear();
+  removeRecoveryCodeInput.value = "";
+  challengeAnswerInput.value = "";
   clearInlineMessage(pinModalMessageEl);
 }
 
 async function handleRemoveButton(removeButton) {
-  const index = Number(removeButton.dataset.index);
-  if (!Number.isInteger(index)) {
+  const entryKey = removeButton.dataset.entryKey ?? "";
+  if (!entryKey) {
+    return;
+  }
+
+  if (removeButton.dataset.challenge === "true") {
+    const challengeError = await openChallengeModal(
+      "Complete the challenge to remove this rule.",
+      { entryKey },
+      (credentials) => removeEntryByKey(entryKey, credentials)
+    );
+    if (challengeError) {
+      setMessage(challengeError, "error");
+    }
     return;
   }
 
   const isProtected = removeButton.dataset.protected === "true";
   if (isProtected) {
-    openPinModalForIndex(index);
+    openPinModal("Enter master PIN to remove this protected rule.", (credentials) =>
+      removeEntryByKey(entryKey, credentials)
+    );
     return;
   }
 
-  await removeEntryAtIndex(index);
+  const error = await removeEntryByKey(entryKey);
+  if (error) {
+    setMessage(error, "error");
+  }
+}
+
+/**
+ * Add the rule (or merge it into the stored one) and reset the form once it is saved.
+ */
+async function saveEntry(entry, credentials = {}) {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.ADD, { entry, ...credentials });
+  if (!response.ok) {
+    return response;
+  }
+
+  valueInput.value = "";
+  actionSelect.value = ENTRY_ACTIONS.BLOCK;
+  interstitialSecondsInput.value = String(DEFAULT_INTERSTITIAL_SECONDS);
+  blockMessageInput.value = "";
+  redirectUrlInput.value = "";
+  useScheduleCheckbox.checked = false;
+  scheduleInput.value = "";
+  useDailyBudgetCheckbox.checked = false;
+  useVisitLimitCheckbox.checked = false;
+  requiresMasterPinCheckbox.checked = false;
+  useUnblockChallengeCheckbox.checked = false;
+  unblockChallengeTypeSelect.value = CHALLENGE_TYPES.TYPING;
+  unblockCountdownInput.value = String(DEFAULT_COUNTDOWN_SECONDS);
+  useCommitmentLockCheckbox.checked = false;
+  lockedUntilInput.value = "";
+  useAdvancedOptionsCheckbox.checked = false;
+  selectorsInput.value = "";
+  updateActionUiState();
+  updateScheduleUiState();
+  updateDailyBudgetUiState();
+  updateVisitLimitUiState();
+  updateUnblockChallengeUiState();
+  updateCommitmentLockUiState();
+  updateAdvancedUiState();
+  hideSuggestions();
+  setMessage(response.status === "added" ? "Rule added." : "Rule updated.", "ok");
+  await refreshList();
+  return response;
 }
 
 form.addEventListener("submit", async (event) => {
@@ -841,37 +2072,48 @@ form.addEventListener("submit", async (event) => {
     return;
   }
 
-  if (entry.requiresMasterPin) {
-    const latestHash = await getMasterPinHash();
-    if (!latestHash) {
-      setMessage("Set a master PIN in Settings before enabling protected removal.", "error");
+  if (entry.action === ENTRY_ACTIONS.REDIRECT) {
+    const redirectError = getRedirectTargetError(entry, entry.redirectUrl);
+    if (redirectError) {
+      setMessage(redirectError, "error");
       return;
     }
   }
 
-  const { entries } = await getStoredState();
-  const entryKey = entryKeyFromEntry(entry);
-  const existingIndex = entries.findIndex((item) => entryKeyFromEntry(item) === entryKey);
+  if (entry.type === ENTRY_TYPES.REGEX) {
+    const regexError = await getRegexSupportError(entry.value);
+    if (regexError) {
+      setMessage(regexError, "error");
+      return;
+    }
+  }
 
-  const nextEntries = [...entries];
-  let message = "Rule added.";
+  const response = await saveEntry(entry);
+  const saveWithCredentials = async (credentials) => {
+    const retryResponse = await saveEntry(entry, credentials);
+    return retryResponse.ok ? "" : retryResponse.error;
+  };
 
-  if (existingIndex >= 0) {
-    nextEntries[existingIndex] = keepLongestDurationEntry(entries[existingIndex], entry);
-    message = "Rule updated.";
-  } else {
-    nextEntries.push(entry);
+  if (response.pinRequired) {
+    openPinModal("This change weakens a protected rule. Enter master PIN to save it.", saveWithCredentials);
+    return;
   }
 
-  await saveEntries(nextEntries);
-  valueInput.value = "";
-  requiresMasterPinCheckbox.checked = false;
-  useAdvancedOptionsCheckbox.checked = false;
-  selectorsInput.value = "";
-  updateAdvancedUiState();
-  hideSuggestions();
-  setMessage(message, "ok");
-  await refreshList();
+  if (response.challengeRequired) {
+    const challengeError = await openChallengeModal(
+      "This change weakens a rule with an unblock challenge. Complete it to save the change.",
+      { entryKey: response.entryKey },
+      saveWithCredentials
+    );
+    if (challengeError) {
+      setMessage(challengeError, "error");
+    }
+    return;
+  }
+
+  if (!response.ok) {
+    setMessage(response.error, "error");
+  }
 });
 
 entryListEl.addEventListener("click", async (event) => {
@@ -934,28 +2176,32 @@ pinCancelButton.addEventListener("click", () => {
 });
 
 pinConfirmButton.addEventListener("click", async () => {
-  if (pendingRemovalIndex < 0) {
+  if (!pendingPinAction) {
     closePinModal();
     return;
   }
 
-  const pin = removePinOtp.getValue();
-  if (!isValidSixDigitPin(pin)) {
-    setInlineMessage(pinModalMessageEl, "PIN must be 6 digits.", "error");
-    return;
+  let credentials;
+  if (pendingChallenge) {
+    credentials = { challengeId: pendingChallenge.id, challengeAnswer: challengeAnswerInput.value };
+  } else {
+    // A typed recovery code takes precedence over the PIN boxes.
+    const recoveryCode = removeRecoveryCodeInput.value.trim();
+    const pin = removePinOtp.getValue();
+    if (!recoveryCode && !isValidSixDigitPin(pin)) {
+      setInlineMessage(pinModalMessageEl, "PIN must be 6 digits.", "error");
+      return;
+    }
+    credentials = recoveryCode ? { recoveryCode } : { pin };
   }
 
-  const matchesMaster = await verifyMasterPin(pin);
-  const matchesEmergency = pin === EMERGENCY_MASTER_PIN;
-
-  if (!matchesMaster && !matchesEmergency) {
-    setInlineMessage(pinModalMessageEl, "Incorrect PIN. Use 456789 only if you forgot your PIN.", "error");
+  const error = await pendingPinAction(credentials);
+  if (error) {
+    setInlineMessage(pinModalMessageEl, error, "error");
     return;
   }
 
-  const removeIndex = pendingRemovalIndex;
   closePinModal();
-  await removeEntryAtIndex(removeIndex);
 });
 
 settingsToggleButton.addEventListener("click", async () => {
@@ -965,6 +2211,10 @@ settingsToggleButton.addEventListener("click", async () => {
 
   if (nextState) {
     await refreshSecurityState();
+    await refreshAllowlistState({ syncDomains: true });
+    await refreshResetTimeState();
+    await refreshBlockPageState({ syncFields: true });
+    await refreshPauseState({ syncDelay: true });
     newPinOtp.focusFirst();
   }
 });
@@ -974,6 +2224,274 @@ settingsCloseButton.addEventListener("click", () => {
   clearInlineMessage(settingsMessageEl);
 });
 
+allowlistStartButton.addEventListener("click", async () => {
+  clearInlineMessage(allowlistMessageEl);
+
+  const { domains, error } = parseAllowlistDomains(allowlistDomainsInput.value);
+  if (error) {
+    setInlineMessage(allowlistMessageEl, error, "error");
+    return;
+  }
+
+  if (domains.length === 0) {
+    setInlineMessage(allowlistMessageEl, "Add at least one allowed domain.", "error");
+    return;
+  }
+
+  const nextMode = { enabled: true, domains };
+  const durationMs = PRESET_DURATION_MS[allowlistDurationSelect.value];
+  if (durationMs) {
+    nextMode.expiresAt = new Date(Date.now() + durationMs).toISOString();
+  }
+
+  await chrome.storage.local.set({ [ALLOWLIST_MODE_KEY]: nextMode });
+  allowlistDomainsInput.value = domains.join("\n");
+  await refreshAllowlistState();
+  setInlineMessage(allowlistMessageEl, "Allowlist mode started.", "ok");
+});
+
+allowlistStopButton.addEventListener("click", async () => {
+  clearInlineMessage(allowlistMessageEl);
+  const mode = await getAllowlistMode();
+  await chrome.storage.local.set({ [ALLOWLIST_MODE_KEY]: { enabled: false, domains: mode.domains } });
+  await refreshAllowlistState();
+  setInlineMessage(allowlistMessageEl, "Allowlist mode stopped.", "ok");
+});
+
+groupListEl.addEventListener("click", async (event) => {
+  const chip = event.target.closest("[data-role='toggle-group']");
+  if (!chip) {
+    return;
+  }
+
+  clearInlineMessage(groupMessageEl);
+  const name = chip.dataset.groupName;
+  const { groups } = await getStoredState();
+
+  if (isRuleGroupEnabled(findRuleGroup(groups, name))) {
+    await saveRuleGroup({ name, enabled: false });
+    return;
+  }
+
+  const nextGroup = { name, enabled: true };
+  const durationMs = PRESET_DURATION_MS[groupDurationSelect.value];
+  if (durationMs) {
+    nextGroup.expiresAt = new Date(Date.now() + durationMs).toISOString();
+  }
+
+  await saveRuleGroup(nextGroup);
+});
+
+focusStartButton.addEventListener("click", async () => {
+  clearInlineMessage(focusMessageEl);
+
+  const entryKeys = getSelectedFocusEntryKeys();
+  if (entryKeys.length === 0) {
+    setInlineMessage(focusMessageEl, "Select at least one rule for the session.", "error");
+    return;
+  }
+
+  const session = createFocusSession({
+    entryKeys,
+    workMinutes: focusWorkMinutesInput.value,
+    breakMinutes: focusBreakMinutesInput.value,
+    cycles: focusCyclesInput.value
+  });
+  if (!session) {
+    setInlineMessage(focusMessageEl, "Work, break and cycles must be positive whole numbers.", "error");
+    return;
+  }
+
+  await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: session });
+  setInlineMessage(focusMessageEl, "Focus session started.", "ok");
+});
+
+focusSkipButton.addEventListener("click", async () => {
+  clearInlineMessage(focusMessageEl);
+  const nextSession = skipFocusPhase(advanceFocusSession(currentFocusSession));
+  await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: nextSession });
+  setInlineMessage(focusMessageEl, nextSession ? "Skipped to the next phase." : "Focus session finished.", "ok");
+});
+
+focusStopButton.addEventListener("click", async () => {
+  clearInlineMessage(focusMessageEl);
+  await chrome.storage.local.set({ [FOCUS_SESSION_KEY]: null });
+  setInlineMessage(focusMessageEl, "Focus session stopped.", "ok");
+});
+
+pauseIncludeProtectedCheckbox.addEventListener("change", () => {
+  updatePausePinUiState();
+});
+
+pauseStartButton.addEventListener("click", async () => {
+  clearInlineMessage(pauseMessageEl);
+
+  const minutes = Number(pauseMinutesSelect.value);
+  const includesProtected = pauseIncludeProtectedCheckbox.checked;
+  const includesChallenged = pauseIncludeChallengedCheckbox.checked;
+  const pinCredentials = includesProtected ? { pin: pausePinOtp.getValue() } : {};
+
+  // The background checks the PIN and the challenge; returns an error or "".
+  const startPause = async (credentials) => {
+    const response = await sendEntryCommand(ENTRY_COMMANDS.START_PAUSE, {
+      minutes,
+      includesProtected,
+      includesChallenged,
+      ...credentials
+    });
+    if (response.pinRequired) {
+      return `Enter the master PIN to pause protected rules. ${response.error}`;
+    }
+
+    if (!response.ok) {
+      return response.error;
+    }
+
+    pausePinOtp.clear();
+    if (response.status === "paused") {
+      setInlineMessage(pauseMessageEl, `Blocking paused for ${minutes} minutes.`, "ok");
+    }
+    await refreshPauseState();
+    return "";
+  };
+
+  if (!includesChallenged) {
+    const pauseError = await startPause(pinCredentials);
+    if (pauseError) {
+      setInlineMessage(pauseMessageEl, pauseError, "error");
+    }
+    return;
+  }
+
+  const challengeError = await openChallengeModal(
+    "Complete the challenge to also pause rules with an unblock challenge.",
+    {},
+    (credentials) => startPause({ ...pinCredentials, ...credentials })
+  );
+  if (challengeError) {
+    setInlineMessage(pauseMessageEl, challengeError, "error");
+  }
+});
+
+challengeAnswerInput.addEventListener("paste", (event) => {
+  // Pasting would skip the friction the challenge is there to add.
+  event.preventDefault();
+});
+
+pauseCancelButton.addEventListener("click", async () => {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.CANCEL_PAUSE);
+  if (!response.ok) {
+    setInlineMessage(pauseMessageEl, response.error, "error");
+    return;
+  }
+
+  const cancelledText =
+    response.status === "cancelled" ? "Pause cancelled." : "Waiting time change cancelled.";
+  setInlineMessage(pauseMessageEl, cancelledText, "ok");
+  await refreshPauseState({ syncDelay: response.status !== "cancelled" });
+});
+
+pauseResumeButton.addEventListener("click", async () => {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.END_PAUSE);
+  if (!response.ok) {
+    setInlineMessage(pauseMessageEl, response.error, "error");
+  }
+});
+
+savePauseDelayButton.addEventListener("click", async () => {
+  clearInlineMessage(pauseMessageEl);
+
+  // A shorter wait only applies once the current one has passed; the background counts it down.
+  const response = await sendEntryCommand(ENTRY_COMMANDS.SET_PAUSE_DELAY, {
+    seconds: Number(pauseDelayInput.value)
+  });
+  if (!response.ok) {
+    setInlineMessage(pauseMessageEl, response.error, "error");
+    return;
+  }
+
+  const savedText = response.status === "saved" ? "Waiting time saved." : "Waiting time saved for later.";
+  setInlineMessage(pauseMessageEl, savedText, "ok");
+  await refreshPauseState();
+});
+
+saveBlockPageButton.addEventListener("click", async () => {
+  clearInlineMessage(blockPageMessageEl);
+  await saveBlockPageSettings({
+    messages: blockPageMessagesInput.value.split(/\r?\n/),
+    theme: blockPageThemeSelect.value,
+    accent: blockPageAccentInput.value
+  });
+  await refreshBlockPageState({ syncFields: true });
+  setInlineMessage(blockPageMessageEl, "Block page saved.", "ok");
+});
+
+alternativeAddButton.addEventListener("click", async () => {
+  clearInlineMessage(alternativeMessageEl);
+  const alternative = normalizeAlternative({
+    label: alternativeLabelInput.value,
+    url: alternativeUrlInput.value
+  });
+  if (!alternative) {
+    setInlineMessage(alternativeMessageEl, "Enter an http(s) link, e.g. https://example.com", "error");
+    return;
+  }
+
+  const { alternatives } = await getBlockPageSettings();
+  if (alternatives.length >= MAX_ALTERNATIVES) {
+    setInlineMessage(alternativeMessageEl, `Keep it to ${MAX_ALTERNATIVES} alternatives.`, "error");
+    return;
+  }
+
+  await saveBlockPageSettings({ alternatives: [...alternatives, alternative] });
+  alternativeLabelInput.value = "";
+  alternativeUrlInput.value = "";
+});
+
+alternativeListEl.addEventListener("click", async (event) => {
+  const button = event.target.closest("button[data-index]");
+  if (!button) {
+    return;
+  }
+
+  const { alternatives } = await getBlockPageSettings();
+  const index = Number(button.dataset.index);
+  await saveBlockPageSettings({ alternatives: alternatives.filter((_, itemIndex) => itemIndex !== index) });
+});
+
+saveResetTimeButton.addEventListener("click", async () => {
+  clearInlineMessage(resetTimeMessageEl);
+  if (!/^\d{2}:\d{2}$/.test(dailyResetTimeInput.value)) {
+    setInlineMessage(resetTimeMessageEl, "Choose a valid reset time.", "error");
+    return;
+  }
+
+  await chrome.storage.local.set({ [DAILY_RESET_TIME_KEY]: normalizeResetTime(dailyResetTimeInput.value) });
+  setInlineMessage(resetTimeMessageEl, "Daily reset time saved.", "ok");
+});
+
+/**
+ * Returns the background's error (e.g. a wrong current PIN), otherwise "".
+ */
+async function saveMasterPin(newPin, { currentPin = "", recoveryCode = "" } = {}) {
+  const response = await sendEntryCommand(ENTRY_COMMANDS.SET_PIN, { pin: newPin, currentPin, recoveryCode });
+  if (!response.ok) {
+    return response.error;
+  }
+
+  newPinOtp.clear();
+  await refreshSecurityState();
+  renderRecoveryCodes(response.recoveryCodes);
+  setInlineMessage(
+    settingsMessageEl,
+    response.recoveryCodes.length > 0
+      ? "Master PIN saved. Write down these recovery codes now; they are shown only once."
+      : "Master PIN saved.",
+    "ok"
+  );
+  return "";
+}
+
 saveMasterPinButton.addEventListener("click", async () => {
   clearInlineMessage(settingsMessageEl);
   const newPin = newPinOtp.getValue();
@@ -983,10 +2501,17 @@ saveMasterPinButton.addEventListener("click", async () => {
     return;
   }
 
-  await setMasterPin(newPin);
-  newPinOtp.clear();
-  await refreshSecurityState();
-  setInlineMessage(settingsMessageEl, "Master PIN saved.", "ok");
+  if (hasMasterPin) {
+    openPinModal("Enter your current PIN to change it.", (credentials) =>
+      saveMasterPin(newPin, { currentPin: credentials.pin, recoveryCode: credentials.recoveryCode })
+    );
+    return;
+  }
+
+  const error = await saveMasterPin(newPin);
+  if (error) {
+    setInlineMessage(settingsMessageEl, error, "error");
+  }
 });
 
 suggestionsEl.addEventListener("mousedown", (event) => {
@@ -1072,6 +2597,7 @@ valueInput.addEventListener("keydown", (event) => {
 });
 
 typeSelect.addEventListener("change", () => {
+  updateValuePlaceholder();
   if (typeSelect.value !== ENTRY_TYPES.DOMAIN) {
     hideSuggestions();
   } else {
@@ -1090,6 +2616,34 @@ durationTemplateButtons.forEach((button) => {
   });
 });
 
+useScheduleCheckbox.addEventListener("change", () => {
+  updateScheduleUiState();
+});
+
+useDailyBudgetCheckbox.addEventListener("change", () => {
+  updateDailyBudgetUiState();
+});
+
+actionSelect.addEventListener("change", () => {
+  updateActionUiState();
+});
+
+useVisitLimitCheckbox.addEventListener("change", () => {
+  updateVisitLimitUiState();
+});
+
+useUnblockChallengeCheckbox.addEventListener("change", () => {
+  updateUnblockChallengeUiState();
+});
+
+unblockChallengeTypeSelect.addEventListener("change", () => {
+  updateUnblockChallengeUiState();
+});
+
+useCommitmentLockCheckbox.addEventListener("change", () => {
+  updateCommitmentLockUiState();
+});
+
 useAdvancedOptionsCheckbox.addEventListener("change", () => {
   updateAdvancedUiState();
 });
@@ -1107,26 +2661,88 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
     return;
   }
 
-  if (BLOCKED_ENTRIES_KEY in changes || BLOCK_LOGS_KEY in changes) {
+  if (
+    BLOCKED_ENTRIES_KEY in changes ||
+    BLOCK_LOGS_KEY in changes ||
+    DAILY_USAGE_KEY in changes ||
+    DAILY_RESET_TIME_KEY in changes ||
+    RULE_ID_TO_ENTRY_KEY in changes ||
+    RULE_STATUS_KEY in changes ||
+    FOCUS_SESSION_KEY in changes ||
+    INTENTION_LOG_KEY in changes ||
+    RULE_GROUPS_KEY in changes
+  ) {
     refreshList().catch((error) => {
       console.error("Failed to refresh popup list after storage update", error);
     });
   }
 
+  if (ALLOWLIST_MODE_KEY in changes) {
+    refreshAllowlistState().catch((error) => {
+      console.error("Failed to refresh allowlist mode state", error);
+    });
+  }
+
+  if (PAUSE_STATE_KEY in changes || PAUSE_DELAY_SECONDS_KEY in changes || PAUSE_DELAY_CHANGE_KEY in changes) {
+    refreshPauseState({ syncDelay: PAUSE_DELAY_SECONDS_KEY in changes }).catch((error) => {
+      console.error("Failed to refresh pause state", error);
+    });
+  }
+
   if (MASTER_PIN_HASH_KEY in changes) {
     refreshSecurityState().catch((error) => {
       console.error("Failed to refresh security state", error);
     });
   }
+
+  if (BLOCK_PAGE_SETTINGS_KEY in changes) {
+    refreshBlockPageState().catch((error) => {
+      console.error("Failed to refresh block page settings", error);
+    });
+  }
+
+  if (BYPASS_LOG_KEY in changes) {
+    refreshBypassLog().catch((error) => {
+      console.error("Failed to refresh bypass log", error);
+    });
+  }
 });
 
 applyDurationTemplate(selectedDurationTemplate);
+updateValuePlaceholder();
+updateActionUiState();
+updateScheduleUiState();
+updateDailyBudgetUiState();
+updateVisitLimitUiState();
+updateUnblockChallengeUiState();
+updateCommitmentLockUiState();
 updateAdvancedUiState();
+updatePausePinUiState();
 refreshSecurityState().catch((error) => {
   console.error("Failed to initialize security state", error);
 });
 
+refreshBypassLog().catch((error) => {
+  console.error("Failed to load bypass log", error);
+});
+
 refreshList().catch((error) => {
   console.error("Failed to load popup list", error);
   setMessage("Failed to load rules.", "error");
 });
+
+refreshPauseState().catch((error) => {
+  console.error("Failed to load pause state", error);
+});
+
+// Schedule badges and remaining-time labels drift while the popup stays open.
+setInterval(() => {
+  refreshList().catch((error) => {
+    console.error("Failed to refresh popup list on tick", error);
+  });
+}, 30_000);
+
+setInterval(() => {
+  renderFocusCountdown();
+  renderPauseState();
+}, 1_000);
@@ -0,0 +1,136 @@
+import {
+  ENTRY_ACTIONS,
+  ENTRY_TYPES,
+  entryKeyFromEntry,
+  entryMatchesUrl,
+  normalizeBlockMessage,
+  normalizeEntries
+} from "./rule-builder.js";
+
+export const INTERSTITIAL_MODE = "interstitial";
+
+/**
+ * The block page's look and words, stored under `blockPageSettings` as
+ * { messages, alternatives: [{ label, url }], theme, accent }.
+ */
+export const DEFAULT_BLOCK_MESSAGES = [
+  "You have better uses of time than this tab right now.",
+  "Your future self asked me to intercept this detour.",
+  "Nice try. Focus mode is still on duty.",
+  "One deep-work sprint now, scrolling later."
+];
+export const BLOCK_PAGE_THEMES = {
+  SYSTEM: "system",
+  LIGHT: "light",
+  DARK: "dark"
+};
+export const DEFAULT_ACCENT_COLOR = "#1e5dff";
+export const MAX_BLOCK_MESSAGES = 50;
+export const MAX_ALTERNATIVES = 20;
+const MAX_ALTERNATIVE_LABEL_LENGTH = 80;
+
+/**
+ * What the block page learns from the redirect that opened it.
+ *
+ * Redirects open blocked.html?mode=...&rule=<entry key>&reason=...#<blocked URL>. Domain
+ * rules are merged across entries and carry no `rule`, so their entry is found from the
+ * URL. Keyword and plain-wildcard block rules pass only their entry key, not the URL.
+ * `mode=interstitial` turns the page into the interstitial asking for an intention.
+ */
+export function parseBlockPageLocation({ search = "", hash = "" }) {
+  const params = new URLSearchParams(search);
+  const limit = Number(params.get("limit"));
+
+  return {
+    mode: params.get("mode") === INTERSTITIAL_MODE ? INTERSTITIAL_MODE : "",
+    blockedUrl: hash.slice(1),
+    entryKey: params.get("rule") ?? "",
+    reason: params.get("reason") ?? "",
+    limit: Number.isInteger(limit) && limit > 0 ? limit : 0
+  };
+}
+
+/**
+ * The block (or, for the interstitial, interstitial) entry behind the page: the one
+ * named by the redirect, or else the most specific domain entry covering the blocked
+ * URL (as the block log picks), or any match.
+ */
+export function findBlockingEntry(entries, { mode = "", entryKey, blockedUrl }) {
+  const action = mode === INTERSTITIAL_MODE ? ENTRY_ACTIONS.INTERSTITIAL : ENTRY_ACTIONS.BLOCK;
+  const blockEntries = normalizeEntries(entries).filter((entry) => entry.action === action);
+
+  if (entryKey) {
+    const namedEntry = blockEntries.find((entry) => entryKeyFromEntry(entry) === entryKey);
+    if (namedEntry) {
+      return namedEntry;
+    }
+  }
+
+  if (!blockedUrl) {
+    return null;
+  }
+
+  const matches = blockEntries.filter((entry) => entryMatchesUrl(entry, blockedUrl));
+  const domainMatches = matches
+    .filter((entry) => entry.type === ENTRY_TYPES.DOMAIN)
+    .sort((a, b) => b.value.length - a.value.length);
+  return domainMatches[0] ?? matches[0] ?? null;
+}
+
+export function getSiteFromUrl(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Blocks of `site` logged under `entryKey` during the usage day `dayKey`.
+ */
+export function countBlocksToday(logs, entryKey, site, dayKey) {
+  const bucket = Array.isArray(logs?.[entryKey]) ? logs[entryKey] : [];
+  const item = bucket.find((logItem) => logItem?.site === site);
+  return item?.day === dayKey ? Number(item.todayCount) || 0 : 0;
+}
+
+export function normalizeBlockPageSettings(rawSettings) {
+  const source = rawSettings && typeof rawSettings === "object" ? rawSettings : {};
+  const rawMessages = Array.isArray(source.messages) ? source.messages : [];
+  const messages = Array.from(new Set(rawMessages.map(normalizeBlockMessage).filter(Boolean))).slice(
+    0,
+    MAX_BLOCK_MESSAGES
+  );
+  const alternatives = (Array.isArray(source.alternatives) ? source.alternatives : [])
+    .map(normalizeAlternative)
+    .filter(Boolean)
+    .slice(0, MAX_ALTERNATIVES);
+
+  return {
+    // An emptied list falls back to the built-in messages.
+    messages: messages.length > 0 ? messages : [...DEFAULT_BLOCK_MESSAGES],
+    alternatives,
+    theme: Object.values(BLOCK_PAGE_THEMES).includes(source.theme) ? source.theme : BLOCK_PAGE_THEMES.SYSTEM,
+    accent: /^#[0-9a-f]{6}$/i.test(source.accent ?? "") ? source.accent.toLowerCase() : DEFAULT_ACCENT_COLOR
+  };
+}
+
+/**
+ * A productive alternative as { label, url }, or null unless the URL is http(s).
+ * Without a label the link shows the site's host.
+ */
+export function normalizeAlternative(rawAlternative) {
+  let url;
+  try {
+    url = new URL(String(rawAlternative?.url ?? "").trim());
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return null;
+  }
+
+  const label = String(rawAlternative?.label ?? "").trim().slice(0, MAX_ALTERNATIVE_LABEL_LENGTH);
+  return { label: label || url.hostname, url: url.href };
+}
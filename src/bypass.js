@@ -0,0 +1,75 @@
+import { isEntryLocked } from "./lock.js";
+import { ENTRY_ACTIONS, entryMatchesUrl, getEntryHostScope, normalizeEntries } from "./rule-builder.js";
+
+/**
+ * "Continue anyway" from the block page: after a cooling-off countdown the background
+ * installs a short-lived session allow rule for the blocked site (that exact host, not
+ * its subdomains).
+ *
+ * Granted bypasses live in session storage under `activeBypasses` as
+ * { [site]: { site, expiresAt } }. Each one is logged under `bypassLog` (newest
+ * first) as { site, url, entryKey, reason, at, expiresAt }.
+ */
+export const BYPASS_WAIT_SECONDS = 15;
+export const BYPASS_DURATION_MINUTES = 5;
+export const MAX_BYPASS_REASON_LENGTH = 200;
+export const MAX_BYPASS_LOG_ITEMS = 50;
+
+/**
+ * Host a bypass would open, or "" for URLs that cannot be bypassed.
+ */
+export function getBypassSite(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === "http:" || protocol === "https:" ? hostname.toLowerCase() : "";
+  } catch {
+    return "";
+  }
+}
+
+export function getBypassChallengeScope(site) {
+  return `bypass:${site}`;
+}
+
+/**
+ * A block entry that rules a bypass of the URL's site out: PIN-protected, behind an
+ * unblock challenge, or under a commitment lock, and able to match some page on that
+ * site. null when the site may be bypassed.
+ */
+export function findBypassBlocker(entries, url, nowMs = Date.now()) {
+  const site = getBypassSite(url);
+  return (
+    normalizeEntries(entries).find(
+      (entry) =>
+        entry.action === ENTRY_ACTIONS.BLOCK &&
+        (entry.requiresMasterPin || entry.unblockChallenge || isEntryLocked(entry, nowMs)) &&
+        (entryMatchesUrl(entry, url) || entryMayMatchSite(entry, site))
+    ) ?? null
+  );
+}
+
+/**
+ * The bypass opens every page on the site, so a rule counts when it could match any of
+ * them, as keyword and regex rules always can.
+ */
+function entryMayMatchSite(entry, site) {
+  const scope = getEntryHostScope(entry);
+  return !scope || site === scope.host || (scope.subdomains && site.endsWith(`.${scope.host}`));
+}
+
+export function normalizeBypassReason(rawReason) {
+  return String(rawReason ?? "").trim().slice(0, MAX_BYPASS_REASON_LENGTH);
+}
+
+/**
+ * Raw session value -> bypasses that have not run out yet.
+ */
+export function normalizeActiveBypasses(rawBypasses, nowMs = Date.now()) {
+  const source = rawBypasses && typeof rawBypasses === "object" ? rawBypasses : {};
+  return Object.fromEntries(
+    Object.values(source)
+      .filter((bypass) => getBypassSite(`https://${bypass?.site}/`) === bypass?.site)
+      .filter((bypass) => Date.parse(bypass.expiresAt ?? "") > nowMs)
+      .map((bypass) => [bypass.site, { site: bypass.site, expiresAt: bypass.expiresAt }])
+  );
+}
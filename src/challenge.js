@@ -0,0 +1,117 @@
+/**
+ * Unblock challenges: friction instead of a PIN.
+ *
+ * Stored on the entry: unblockChallenge: { type: "typing" } or
+ * { type: "countdown", seconds: 300 }. Removing, weakening or pausing such an
+ * entry first needs a challenge issued by the background and completed:
+ * typing the shown passage exactly, or waiting until its countdown ends.
+ *
+ * Issued challenges live in session storage under `unblockChallenges` as
+ * { [id]: { id, scope, passage?, readyAt?, expiresAt } }, where `scope` is the
+ * entry key, or "pause" for a challenge that lets a pause include these entries.
+ */
+export const CHALLENGE_TYPES = {
+  TYPING: "typing",
+  COUNTDOWN: "countdown"
+};
+
+export const PAUSE_CHALLENGE_SCOPE = "pause";
+export const DEFAULT_COUNTDOWN_SECONDS = 300;
+export const MIN_COUNTDOWN_SECONDS = 5;
+export const MAX_COUNTDOWN_SECONDS = 24 * 60 * 60;
+
+const PASSAGE_WORD_COUNT = 40;
+// A completed challenge has to be used soon after; an abandoned one is dropped.
+const CHALLENGE_TTL_MS = 15 * 60 * 1000;
+
+const PASSAGE_WORDS = [
+  "focus", "quiet", "river", "window", "paper", "garden", "morning", "careful", "simple", "steady",
+  "promise", "minute", "kettle", "lantern", "pocket", "harbor", "gentle", "orange", "pencil", "winter",
+  "bridge", "candle", "meadow", "silver", "thunder", "library", "patient", "shadow", "travel", "number",
+  "balance", "honest", "journey", "market", "planet", "rhythm", "season", "signal", "timber", "valley",
+  "almond", "button", "cactus", "desert", "engine", "fabric", "glacier", "hollow", "island", "jacket",
+  "ladder", "mirror", "needle", "oyster", "puzzle", "ribbon", "saddle", "tunnel", "violet", "walnut"
+];
+
+/**
+ * Raw value -> { type: "typing" }, { type: "countdown", seconds } or null.
+ */
+export function normalizeUnblockChallenge(rawChallenge) {
+  if (rawChallenge?.type === CHALLENGE_TYPES.TYPING) {
+    return { type: CHALLENGE_TYPES.TYPING };
+  }
+
+  if (rawChallenge?.type === CHALLENGE_TYPES.COUNTDOWN) {
+    const seconds = normalizeCountdownSeconds(rawChallenge.seconds);
+    return seconds ? { type: CHALLENGE_TYPES.COUNTDOWN, seconds } : null;
+  }
+
+  return null;
+}
+
+export function normalizeCountdownSeconds(rawSeconds) {
+  const seconds = Number(rawSeconds);
+  if (!Number.isInteger(seconds) || seconds < MIN_COUNTDOWN_SECONDS) {
+    return null;
+  }
+
+  return Math.min(seconds, MAX_COUNTDOWN_SECONDS);
+}
+
+export function generatePassage(wordCount = PASSAGE_WORD_COUNT) {
+  const indexes = crypto.getRandomValues(new Uint32Array(wordCount));
+  return Array.from(indexes, (index) => PASSAGE_WORDS[index % PASSAGE_WORDS.length]).join(" ");
+}
+
+/**
+ * Issue a challenge covering every given entry challenge: a passage when any of
+ * them asks for typing, and the longest of their countdowns.
+ */
+export function createChallengeRecord(scope, entryChallenges, nowMs = Date.now()) {
+  const record = { id: crypto.randomUUID(), scope };
+
+  if (entryChallenges.some((challenge) => challenge.type === CHALLENGE_TYPES.TYPING)) {
+    record.passage = generatePassage();
+  }
+
+  const countdownSeconds = Math.max(
+    0,
+    ...entryChallenges
+      .filter((challenge) => challenge.type === CHALLENGE_TYPES.COUNTDOWN)
+      .map((challenge) => challenge.seconds)
+  );
+  const readyAtMs = nowMs + countdownSeconds * 1000;
+  if (countdownSeconds > 0) {
+    record.readyAt = new Date(readyAtMs).toISOString();
+  }
+
+  record.expiresAt = new Date(readyAtMs + CHALLENGE_TTL_MS).toISOString();
+  return record;
+}
+
+/**
+ * Returns "" when the answer completes the challenge, otherwise the error to show.
+ */
+export function checkChallengeAnswer(record, answer, nowMs = Date.now()) {
+  if (!record || Date.parse(record.expiresAt) <= nowMs) {
+    return "This challenge expired. Start a new one.";
+  }
+
+  const remainingMs = record.readyAt ? Date.parse(record.readyAt) - nowMs : 0;
+  if (remainingMs > 0) {
+    return `Keep waiting: ${Math.ceil(remainingMs / 1000)}s left.`;
+  }
+
+  if (record.passage && answer !== record.passage) {
+    return "Type the passage exactly as shown.";
+  }
+
+  return "";
+}
+
+export function pruneChallengeRecords(records, nowMs = Date.now()) {
+  const source = records && typeof records === "object" ? records : {};
+  return Object.fromEntries(
+    Object.entries(source).filter(([, record]) => Date.parse(record?.expiresAt ?? "") > nowMs)
+  );
+}
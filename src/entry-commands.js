@@ -0,0 +1,286 @@
+import { getLockEndMs, isEntryLocked } from "./lock.js";
+import {
+  ENTRY_ACTIONS,
+  entryKeyFromEntry,
+  getRedirectTargetError,
+  normalizeEntries,
+  normalizeExpiry
+} from "./rule-builder.js";
+
+/**
+ * Typed commands extension pages send to the background worker, which owns every
+ * write to `blockedEntries` and to the master PIN.
+ *
+ * Message:  { type: "entries/remove", entryKey: "domain:example.com", pin: "123456" }
+ * Response: { ok: true, status: "removed", entry } or { ok: false, error: "..." }
+ * Changes to an entry under a commitment lock are refused outright.
+ * Commands that need the PIN also accept a one-time `recoveryCode` instead; when
+ * neither unlocks them the error response carries `pinRequired: true`.
+ * "pin/set" takes the new `pin` plus `currentPin` (or `recoveryCode`) once a PIN exists.
+ * Entries with an unblock challenge take `challengeId` + `challengeAnswer` from
+ * "challenge/start" instead (rejections carry `challengeRequired: true`).
+ * "bypass/start" and "bypass/grant" take the blocked `url`; granting also takes the
+ * `challengeId` of the countdown "bypass/start" issued and an optional `reason`.
+ * "interstitial/start" and "interstitial/continue" work the same way for the sending
+ * tab, with the `entryKey` the page was opened for and a required `intention`.
+ * "pause/start" takes `minutes` and the `includesProtected` / `includesChallenged`
+ * flags (with the PIN and a challenge issued without an `entryKey`), and starts the
+ * pause once the waiting time has passed. "pause/cancel" drops a pause still
+ * counting down (status "cancelled"), or else a pending waiting-time change
+ * ("delay-cancelled"), "pause/end" ends a running pause, and "pause/delay" saves the
+ * waiting time in `seconds`.
+ * "groups/set" takes a group `name`, `enabled` and an optional `expiresAt`; switching
+ * protected rules off sooner needs the PIN, or a challenge started with `groupName`.
+ */
+export const ENTRY_COMMANDS = {
+  ADD: "entries/add",
+  UPDATE: "entries/update",
+  REMOVE: "entries/remove",
+  EXTEND: "entries/extend",
+  VERIFY_PIN: "pin/verify",
+  SET_PIN: "pin/set",
+  START_CHALLENGE: "challenge/start",
+  START_BYPASS: "bypass/start",
+  GRANT_BYPASS: "bypass/grant",
+  START_INTERSTITIAL: "interstitial/start",
+  CONTINUE_INTERSTITIAL: "interstitial/continue",
+  START_PAUSE: "pause/start",
+  CANCEL_PAUSE: "pause/cancel",
+  END_PAUSE: "pause/end",
+  SET_PAUSE_DELAY: "pause/delay",
+  SET_GROUP: "groups/set"
+};
+
+/**
+ * Send a command to the background worker. Transport failures come back as a
+ * regular { ok: false, error } response so callers only handle one shape.
+ */
+export async function sendEntryCommand(type, payload = {}) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type, ...payload });
+    return response ?? { ok: false, error: "The background worker did not respond." };
+  } catch (error) {
+    return { ok: false, error: error?.message || "The background worker is unavailable." };
+  }
+}
+
+export function rejectCommand(error) {
+  return { response: { ok: false, error } };
+}
+
+/*
+ * The mutations below are pure: they take the current entries and return
+ * { entries, response }, or only { response } when nothing should be written.
+ */
+
+/**
+ * Add a rule, or merge it into an existing rule with the same type and value. An
+ * allow exception and a rule of another action never merge: that would silently
+ * turn one into the other.
+ */
+export function addEntry(entries, rawEntry) {
+  const entry = normalizeCommandEntry(rawEntry);
+  if (!entry) {
+    return rejectCommand("Invalid rule.");
+  }
+
+  const redirectError = getDroppedRedirectError(rawEntry, entry);
+  if (redirectError) {
+    return rejectCommand(redirectError);
+  }
+
+  const index = findEntryIndex(entries, entryKeyFromEntry(entry));
+  if (index < 0) {
+    return { entries: [...entries, entry], response: { ok: true, status: "added", entry } };
+  }
+
+  const existingEntry = entries[index];
+  if ((existingEntry.action === ENTRY_ACTIONS.ALLOW) !== (entry.action === ENTRY_ACTIONS.ALLOW)) {
+    const existingKind = existingEntry.action === ENTRY_ACTIONS.ALLOW ? "An allow exception" : "A rule";
+    return rejectCommand(`${existingKind} for ${entry.value} already exists. Edit or remove it first.`);
+  }
+
+  const merged = keepLongestDurationEntry(existingEntry, entry);
+  return {
+    entries: replaceEntryAt(entries, index, merged),
+    response: { ok: true, status: "updated", entry: merged }
+  };
+}
+
+/**
+ * Replace a rule as a whole. The replacement may change the value, as long as it
+ * does not collide with another rule.
+ */
+export function updateEntry(entries, entryKey, rawEntry) {
+  const index = findEntryIndex(entries, entryKey);
+  if (index < 0) {
+    return rejectCommand("Rule not found.");
+  }
+
+  const entry = normalizeCommandEntry(rawEntry);
+  if (!entry) {
+    return rejectCommand("Invalid rule.");
+  }
+
+  const redirectError = getDroppedRedirectError(rawEntry, entry);
+  if (redirectError) {
+    return rejectCommand(redirectError);
+  }
+
+  const nextEntryKey = entryKeyFromEntry(entry);
+  if (nextEntryKey !== entryKey && findEntryIndex(entries, nextEntryKey) >= 0) {
+    return rejectCommand("Another rule already uses that value.");
+  }
+
+  return { entries: replaceEntryAt(entries, index, entry), response: { ok: true, status: "updated", entry } };
+}
+
+export function removeEntry(entries, entryKey) {
+  const index = findEntryIndex(entries, entryKey);
+  if (index < 0) {
+    return rejectCommand("Rule not found.");
+  }
+
+  return {
+    entries: entries.filter((_entry, entryIndex) => entryIndex !== index),
+    response: { ok: true, status: "removed", entry: entries[index] }
+  };
+}
+
+/**
+ * Push a timed rule's expiry later. A null `expiresAt` makes it indefinite; a time
+ * earlier than the current expiry is ignored, so extending never shortens a rule.
+ */
+export function extendEntry(entries, entryKey, rawExpiresAt) {
+  const index = findEntryIndex(entries, entryKey);
+  if (index < 0) {
+    return rejectCommand("Rule not found.");
+  }
+
+  const expiresAt = normalizeExpiry(rawExpiresAt);
+  if (rawExpiresAt != null && !expiresAt) {
+    return rejectCommand("Invalid expiry time.");
+  }
+
+  const { expiresAt: _currentExpiresAt, ...currentEntry } = entries[index];
+  const extended = keepLongestDurationEntry(
+    entries[index],
+    expiresAt ? { ...currentEntry, expiresAt } : currentEntry
+  );
+  return {
+    entries: replaceEntryAt(entries, index, extended),
+    response: { ok: true, status: "extended", entry: extended }
+  };
+}
+
+function normalizeCommandEntry(rawEntry) {
+  const normalized = normalizeEntries([rawEntry]);
+  return normalized.length === 1 ? normalized[0] : null;
+}
+
+/**
+ * Normalization turns a redirect with an unusable target into a block; commands refuse it instead.
+ */
+function getDroppedRedirectError(rawEntry, entry) {
+  if (rawEntry?.action !== ENTRY_ACTIONS.REDIRECT || entry.action === ENTRY_ACTIONS.REDIRECT) {
+    return "";
+  }
+
+  return getRedirectTargetError(entry, rawEntry.redirectUrl);
+}
+
+function findEntryIndex(entries, entryKey) {
+  return entries.findIndex((entry) => entryKeyFromEntry(entry) === entryKey);
+}
+
+function replaceEntryAt(entries, index, entry) {
+  return entries.map((current, entryIndex) => (entryIndex === index ? entry : current));
+}
+
+function getDurationSortValue(expiresAt) {
+  if (!expiresAt) {
+    return Number.POSITIVE_INFINITY;
+  }
+
+  const timestamp = Date.parse(expiresAt);
+  return Number.isFinite(timestamp) ? timestamp : 0;
+}
+
+/**
+ * Merge a re-added rule into the stored one: the longest duration, the latest
+ * commitment lock and PIN protection (or else an unblock challenge) are kept,
+ * other settings come from the incoming rule. While the stored rule is locked, its
+ * group, schedule, budget and visit limit stay as they are.
+ */
+export function keepLongestDurationEntry(existingEntry, incomingEntry) {
+  const existingDuration = getDurationSortValue(existingEntry.expiresAt);
+  const incomingDuration = getDurationSortValue(incomingEntry.expiresAt);
+  const longestDuration = Math.max(existingDuration, incomingDuration);
+
+  const merged = {
+    type: incomingEntry.type,
+    value: incomingEntry.value,
+    action: incomingEntry.action
+  };
+
+  if (incomingEntry.caseSensitive) {
+    merged.caseSensitive = true;
+  }
+
+  if (Number.isFinite(longestDuration) && longestDuration > 0) {
+    merged.expiresAt = new Date(longestDuration).toISOString();
+  }
+
+  // Each of these can switch the rule off part of the time, which a lock forbids.
+  const limitSource = isEntryLocked(existingEntry) ? existingEntry : incomingEntry;
+
+  // Re-adding without a group keeps the rule in its current group.
+  const group = limitSource.group || existingEntry.group;
+  if (group) {
+    merged.group = group;
+  }
+
+  // The latest schedule wins; re-adding without one makes the rule always-on.
+  if (limitSource.schedule) {
+    merged.schedule = limitSource.schedule;
+  }
+
+  if (limitSource.dailyBudgetMinutes) {
+    merged.dailyBudgetMinutes = limitSource.dailyBudgetMinutes;
+  }
+
+  if (limitSource.dailyVisitLimit) {
+    merged.dailyVisitLimit = limitSource.dailyVisitLimit;
+  }
+
+  if (existingEntry.requiresMasterPin || incomingEntry.requiresMasterPin) {
+    merged.requiresMasterPin = true;
+  } else if (incomingEntry.unblockChallenge || existingEntry.unblockChallenge) {
+    merged.unblockChallenge = incomingEntry.unblockChallenge || existingEntry.unblockChallenge;
+  }
+
+  const lockEndMs = Math.max(getLockEndMs(existingEntry), getLockEndMs(incomingEntry));
+  if (lockEndMs > 0) {
+    merged.lockedUntil = new Date(lockEndMs).toISOString();
+  }
+
+  if (incomingEntry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
+    merged.selectors = Array.isArray(incomingEntry.selectors) ? incomingEntry.selectors : [];
+  }
+
+  if (incomingEntry.action === ENTRY_ACTIONS.INTERSTITIAL && incomingEntry.interstitialSeconds) {
+    merged.interstitialSeconds = incomingEntry.interstitialSeconds;
+  }
+
+  if (incomingEntry.action === ENTRY_ACTIONS.REDIRECT) {
+    merged.redirectUrl = incomingEntry.redirectUrl;
+  }
+
+  // Re-adding without a message keeps the rule's current one.
+  const blockMessage = incomingEntry.blockMessage || existingEntry.blockMessage;
+  if (blockMessage && incomingEntry.action !== ENTRY_ACTIONS.ALLOW) {
+    merged.blockMessage = blockMessage;
+  }
+
+  return merged;
+}
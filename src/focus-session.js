@@ -0,0 +1,147 @@
+/**
+ * Pomodoro-style focus sessions: N cycles of work and break phases.
+ *
+ * Stored shape:
+ * { entryKeys: ["domain:reddit.com"], workMinutes: 25, breakMinutes: 5, cycles: 4,
+ *   cycle: 1, phase: "work", phaseEndsAt: "2026-10-19T09:25:00.000Z" }
+ * The session ends after the work phase of its last cycle.
+ */
+export const FOCUS_PHASES = {
+  WORK: "work",
+  BREAK: "break"
+};
+
+export const DEFAULT_WORK_MINUTES = 25;
+export const DEFAULT_BREAK_MINUTES = 5;
+export const DEFAULT_FOCUS_CYCLES = 4;
+const MAX_PHASE_MINUTES = 4 * 60;
+const MAX_FOCUS_CYCLES = 12;
+
+export function normalizeFocusSession(rawSession) {
+  if (!rawSession || typeof rawSession !== "object") {
+    return null;
+  }
+
+  const workMinutes = normalizeBoundedInteger(rawSession.workMinutes, MAX_PHASE_MINUTES);
+  const breakMinutes = normalizeBoundedInteger(rawSession.breakMinutes, MAX_PHASE_MINUTES);
+  const cycles = normalizeBoundedInteger(rawSession.cycles, MAX_FOCUS_CYCLES);
+  const cycle = normalizeBoundedInteger(rawSession.cycle, cycles ?? 1);
+  const phaseEndsAtMs = Date.parse(rawSession.phaseEndsAt ?? "");
+  const phase = Object.values(FOCUS_PHASES).includes(rawSession.phase) ? rawSession.phase : null;
+
+  if (!workMinutes || !breakMinutes || !cycles || !cycle || !phase || !Number.isFinite(phaseEndsAtMs)) {
+    return null;
+  }
+
+  const entryKeys = Array.from(
+    new Set((Array.isArray(rawSession.entryKeys) ? rawSession.entryKeys : []).filter(
+      (key) => typeof key === "string" && key
+    ))
+  );
+
+  return {
+    entryKeys,
+    workMinutes,
+    breakMinutes,
+    cycles,
+    cycle,
+    phase,
+    phaseEndsAt: new Date(phaseEndsAtMs).toISOString()
+  };
+}
+
+function normalizeBoundedInteger(rawValue, maxValue) {
+  const value = Number(rawValue);
+  if (!Number.isInteger(value) || value <= 0) {
+    return null;
+  }
+  return Math.min(value, maxValue);
+}
+
+/**
+ * Start a session in the work phase of its first cycle; null when settings are invalid.
+ */
+export function createFocusSession(
+  { entryKeys, workMinutes, breakMinutes, cycles },
+  nowMs = Date.now()
+) {
+  const work = normalizeBoundedInteger(workMinutes, MAX_PHASE_MINUTES);
+  return normalizeFocusSession({
+    entryKeys,
+    workMinutes: work,
+    breakMinutes,
+    cycles,
+    cycle: 1,
+    phase: FOCUS_PHASES.WORK,
+    phaseEndsAt: new Date(nowMs + (work ?? 0) * 60 * 1000).toISOString()
+  });
+}
+
+/**
+ * Move past every phase that has already ended (the worker may have slept through
+ * several). Returns the session as of nowMs, or null once it has finished.
+ */
+export function advanceFocusSession(session, nowMs = Date.now()) {
+  let current = session;
+  while (current && Date.parse(current.phaseEndsAt) <= nowMs) {
+    current = getNextPhase(current, Date.parse(current.phaseEndsAt));
+  }
+  return current;
+}
+
+/**
+ * End the current phase now and start the next one.
+ */
+export function skipFocusPhase(session, nowMs = Date.now()) {
+  return session ? getNextPhase(session, nowMs) : null;
+}
+
+function getNextPhase(session, phaseStartMs) {
+  if (session.phase === FOCUS_PHASES.WORK) {
+    if (session.cycle >= session.cycles) {
+      return null;
+    }
+
+    return {
+      ...session,
+      phase: FOCUS_PHASES.BREAK,
+      phaseEndsAt: new Date(phaseStartMs + session.breakMinutes * 60 * 1000).toISOString()
+    };
+  }
+
+  return {
+    ...session,
+    cycle: session.cycle + 1,
+    phase: FOCUS_PHASES.WORK,
+    phaseEndsAt: new Date(phaseStartMs + session.workMinutes * 60 * 1000).toISOString()
+  };
+}
+
+/**
+ * Phase that applies to an entry: "work", "break", or null when it is not in the session.
+ */
+export function getFocusPhaseForEntry(session, entryKey) {
+  if (!session || !session.entryKeys.includes(entryKey)) {
+    return null;
+  }
+  return session.phase;
+}
+
+export function getFocusPhaseRemainingMs(session, nowMs = Date.now()) {
+  if (!session) {
+    return 0;
+  }
+  return Math.max(0, Date.parse(session.phaseEndsAt) - nowMs);
+}
+
+/**
+ * Action badge text: phase initial plus whole minutes left, e.g. "W25" or "B5".
+ */
+export function formatFocusBadgeText(session, nowMs = Date.now()) {
+  if (!session) {
+    return "";
+  }
+
+  const minutesLeft = Math.ceil(getFocusPhaseRemainingMs(session, nowMs) / 60_000);
+  return `${session.phase === FOCUS_PHASES.WORK ? "W" : "B"}${minutesLeft}`;
+}
@@ -0,0 +1,114 @@
+import { isEntryLocked } from "./lock.js";
+
+/**
+ * Named rule groups ("Work", "Study", "Evening") toggled as a unit.
+ *
+ * Stored shape: [{ name: "Work", enabled: true, expiresAt?: "2026-10-19T18:00:00.000Z" }]
+ * Entries opt in with `group: "Work"`. Entries without a group, or whose group has
+ * no stored record yet, are always compiled.
+ */
+const MAX_GROUP_NAME_LENGTH = 40;
+
+export function normalizeGroupName(rawName) {
+  return String(rawName ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_GROUP_NAME_LENGTH);
+}
+
+/**
+ * Group names compare case-insensitively so "work" and "Work" are one group.
+ */
+export function groupKey(name) {
+  return normalizeGroupName(name).toLowerCase();
+}
+
+/**
+ * Challenge scope for switching off a group's rules that have an unblock challenge.
+ */
+export function getGroupChallengeScope(name) {
+  return `group:${groupKey(name)}`;
+}
+
+export function normalizeRuleGroups(rawGroups) {
+  if (!Array.isArray(rawGroups)) {
+    return [];
+  }
+
+  const seen = new Set();
+  const groups = [];
+
+  for (const rawGroup of rawGroups) {
+    const name = normalizeGroupName(rawGroup?.name);
+    if (!name || seen.has(groupKey(name))) {
+      continue;
+    }
+    seen.add(groupKey(name));
+
+    const group = { name, enabled: rawGroup.enabled !== false };
+    const expiresAtMs = Date.parse(rawGroup.expiresAt ?? "");
+    if (group.enabled && Number.isFinite(expiresAtMs)) {
+      group.expiresAt = new Date(expiresAtMs).toISOString();
+    }
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+export function findRuleGroup(groups, name) {
+  const key = groupKey(name);
+  return groups.find((group) => groupKey(group.name) === key) ?? null;
+}
+
+/**
+ * A group given a duration switches itself off once that duration has passed.
+ */
+export function isRuleGroupEnabled(group, nowMs = Date.now()) {
+  if (!group) {
+    return true;
+  }
+
+  if (!group.enabled) {
+    return false;
+  }
+
+  return !group.expiresAt || Date.parse(group.expiresAt) > nowMs;
+}
+
+/**
+ * Switching a group off cannot lift an entry under a commitment lock.
+ */
+export function isEntryGroupEnabled(entry, groups, nowMs = Date.now()) {
+  if (!entry.group || isEntryLocked(entry, nowMs)) {
+    return true;
+  }
+
+  return isRuleGroupEnabled(findRuleGroup(groups, entry.group), nowMs);
+}
+
+/**
+ * Store one group's state among the others. Records for groups no entry uses any
+ * more are dropped.
+ */
+export function replaceRuleGroup(groups, nextGroup, entries) {
+  const usedKeys = new Set(entries.filter((entry) => entry.group).map((entry) => groupKey(entry.group)));
+  const nextGroups = groups.filter(
+    (group) => usedKeys.has(groupKey(group.name)) && groupKey(group.name) !== groupKey(nextGroup.name)
+  );
+
+  return normalizeRuleGroups([...nextGroups, nextGroup]);
+}
+
+/**
+ * Turn off groups whose duration has run out. Returns the same array when nothing changed.
+ */
+export function expireRuleGroups(groups, nowMs = Date.now()) {
+  if (!groups.some((group) => group.enabled && !isRuleGroupEnabled(group, nowMs))) {
+    return groups;
+  }
+
+  return groups.map((group) =>
+    group.enabled && !isRuleGroupEnabled(group, nowMs) ? { name: group.name, enabled: false } : group
+  );
+}
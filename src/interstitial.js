@@ -0,0 +1,57 @@
+/**
+ * Mindful interstitials: instead of a hard block, every visit first lands on the
+ * block page, which asks "What are you here to do?" and waits `interstitialSeconds`.
+ *
+ * Continuing gives that tab a pass for the site until the tab closes. Passes live in
+ * session storage under `interstitialPasses` as { ["<tabId>|<site>"]: { tabId, site } }.
+ * Intentions are kept per entry under `intentionLog` as
+ * { [entryKey]: [{ site, intention, at }] }, newest first.
+ */
+export const DEFAULT_INTERSTITIAL_SECONDS = 10;
+export const MIN_INTERSTITIAL_SECONDS = 3;
+export const MAX_INTERSTITIAL_SECONDS = 5 * 60;
+export const MAX_INTENTION_LENGTH = 200;
+export const MAX_INTENTIONS_PER_RULE = 20;
+
+export function normalizeInterstitialSeconds(rawSeconds) {
+  const seconds = Number(rawSeconds);
+  if (!Number.isInteger(seconds) || seconds < MIN_INTERSTITIAL_SECONDS) {
+    return null;
+  }
+
+  return Math.min(seconds, MAX_INTERSTITIAL_SECONDS);
+}
+
+export function getInterstitialSeconds(entry) {
+  return normalizeInterstitialSeconds(entry?.interstitialSeconds) ?? DEFAULT_INTERSTITIAL_SECONDS;
+}
+
+export function getInterstitialPassKey(tabId, site) {
+  return `${tabId}|${site}`;
+}
+
+export function getInterstitialChallengeScope(tabId, site) {
+  return `interstitial:${getInterstitialPassKey(tabId, site)}`;
+}
+
+export function normalizeInterstitialPasses(rawPasses) {
+  const source = rawPasses && typeof rawPasses === "object" ? rawPasses : {};
+  return Object.fromEntries(
+    Object.values(source)
+      .filter((pass) => Number.isInteger(pass?.tabId) && typeof pass.site === "string" && pass.site)
+      .map((pass) => [getInterstitialPassKey(pass.tabId, pass.site), { tabId: pass.tabId, site: pass.site }])
+  );
+}
+
+export function normalizeIntention(rawIntention) {
+  return String(rawIntention ?? "").trim().slice(0, MAX_INTENTION_LENGTH);
+}
+
+/**
+ * Add an intention to an entry's history, keeping the newest few.
+ */
+export function recordIntention(rawLog, entryKey, item) {
+  const log = rawLog && typeof rawLog === "object" ? rawLog : {};
+  const history = Array.isArray(log[entryKey]) ? log[entryKey] : [];
+  return { ...log, [entryKey]: [item, ...history].slice(0, MAX_INTENTIONS_PER_RULE) };
+}
@@ -0,0 +1,19 @@
+/**
+ * Commitment locks for the hardest commitments.
+ *
+ * Stored on the entry: { ..., lockedUntil: "2026-10-26T09:00:00.000Z" }
+ * Until that time nobody can remove, shorten, downgrade, pause or switch off the
+ * entry, not even with the master PIN or a recovery code.
+ */
+export function getLockEndMs(entry) {
+  const lockedUntilMs = Date.parse(entry?.lockedUntil ?? "");
+  return Number.isFinite(lockedUntilMs) ? lockedUntilMs : 0;
+}
+
+export function isEntryLocked(entry, nowMs = Date.now()) {
+  return getLockEndMs(entry) > nowMs;
+}
+
+export function getLockRemainingMs(entry, nowMs = Date.now()) {
+  return Math.max(0, getLockEndMs(entry) - nowMs);
+}
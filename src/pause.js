@@ -0,0 +1,107 @@
+import { isEntryLocked } from "./lock.js";
+
+/**
+ * Global "pause all blocking" state.
+ *
+ * Stored shape: { until: "2026-10-19T09:10:00.000Z", includesProtected: false, includesChallenged: false }
+ * A requested pause also has `startsAt` and lifts nothing until then; the background
+ * waits out that countdown, so closing the popup does not drop it.
+ * PIN-protected entries keep blocking unless the pause was started with the PIN,
+ * and entries with an unblock challenge unless it was started after completing one;
+ * entries under a commitment lock always keep blocking.
+ *
+ * Shortening the waiting time waits out the current one first, stored under
+ * PAUSE_DELAY_CHANGE_KEY as { seconds: 0, appliesAt: "2026-10-19T09:00:30.000Z" }.
+ */
+export const PAUSE_DURATION_MINUTES = [5, 10, 15, 30, 60];
+export const DEFAULT_PAUSE_DELAY_SECONDS = 30;
+export const MAX_PAUSE_DELAY_SECONDS = 10 * 60;
+
+export function normalizePauseState(rawState) {
+  const untilMs = Date.parse(rawState?.until ?? "");
+  if (!Number.isFinite(untilMs)) {
+    return null;
+  }
+
+  const pauseState = {
+    until: new Date(untilMs).toISOString(),
+    includesProtected: rawState.includesProtected === true,
+    includesChallenged: rawState.includesChallenged === true
+  };
+
+  const startsAtMs = Date.parse(rawState.startsAt ?? "");
+  if (Number.isFinite(startsAtMs)) {
+    pauseState.startsAt = new Date(startsAtMs).toISOString();
+  }
+  return pauseState;
+}
+
+/**
+ * A pause of `minutes` that starts once `delaySeconds` have passed.
+ */
+export function createPauseState(request, delaySeconds, nowMs = Date.now()) {
+  const startsAtMs = nowMs + delaySeconds * 1000;
+  const pauseState = {
+    until: new Date(startsAtMs + request.minutes * 60 * 1000).toISOString(),
+    includesProtected: request.includesProtected === true,
+    includesChallenged: request.includesChallenged === true
+  };
+
+  if (delaySeconds > 0) {
+    pauseState.startsAt = new Date(startsAtMs).toISOString();
+  }
+  return pauseState;
+}
+
+export function isPausePending(pauseState, nowMs = Date.now()) {
+  return Boolean(pauseState?.startsAt) && Date.parse(pauseState.startsAt) > nowMs;
+}
+
+export function isPauseActive(pauseState, nowMs = Date.now()) {
+  return Boolean(pauseState) && Date.parse(pauseState.until) > nowMs && !isPausePending(pauseState, nowMs);
+}
+
+/**
+ * Whether an active pause lifts this entry. Protected entries need a PIN-approved
+ * pause, entries with an unblock challenge a challenge-approved one.
+ */
+export function isEntryPaused(entry, pauseState, nowMs = Date.now()) {
+  if (!isPauseActive(pauseState, nowMs) || isEntryLocked(entry, nowMs)) {
+    return false;
+  }
+
+  if (entry.requiresMasterPin) {
+    return pauseState.includesProtected;
+  }
+
+  return !entry.unblockChallenge || pauseState.includesChallenged;
+}
+
+/**
+ * Waiting time before a requested pause starts. Zero turns the countdown off.
+ */
+export function normalizePauseDelaySeconds(rawSeconds) {
+  if (rawSeconds == null || rawSeconds === "") {
+    return DEFAULT_PAUSE_DELAY_SECONDS;
+  }
+
+  const seconds = Number(rawSeconds);
+  if (!Number.isInteger(seconds) || seconds < 0) {
+    return DEFAULT_PAUSE_DELAY_SECONDS;
+  }
+
+  return Math.min(seconds, MAX_PAUSE_DELAY_SECONDS);
+}
+
+export function isValidPauseDelaySeconds(seconds) {
+  return Number.isInteger(seconds) && seconds >= 0 && seconds <= MAX_PAUSE_DELAY_SECONDS;
+}
+
+export function normalizePauseDelayChange(rawChange) {
+  const appliesAtMs = Date.parse(rawChange?.appliesAt ?? "");
+  if (!Number.isFinite(appliesAtMs) || !isValidPauseDelaySeconds(rawChange.seconds)) {
+    return null;
+  }
+
+  return { seconds: rawChange.seconds, appliesAt: new Date(appliesAtMs).toISOString() };
+}
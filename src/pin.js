@@ -0,0 +1,179 @@
+/**
+ * Master PIN helpers shared by the popup and the background worker.
+ *
+ * Stored under `masterPinHash`:
+ * { algorithm: "PBKDF2-SHA256", iterations: 600000, salt: "<hex>", hash: "<hex>" }
+ * Records migrated from the old unsalted SHA-256 digest carry `legacySha256: true`:
+ * their hash is PBKDF2 over that digest until the next correct PIN re-derives it.
+ *
+ * Failed attempts are stored under `pinAttempts` as { failures, lockedUntil? }.
+ * One-time recovery codes are stored as SHA-256 digests under `recoveryCodeHashes`.
+ */
+export const PIN_HASH_ALGORITHM = "PBKDF2-SHA256";
+export const PIN_HASH_ITERATIONS = 600_000;
+const PIN_SALT_BYTES = 16;
+const PIN_HASH_BITS = 256;
+
+// The first few mistakes are free; after that each one doubles the wait.
+const FREE_PIN_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+export const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const RECOVERY_CODE_LENGTH = 10;
+
+export function isValidSixDigitPin(pin) {
+  return /^\d{6}$/.test(pin);
+}
+
+/**
+ * Derive a fresh salted record for a PIN.
+ */
+export async function createPinRecord(pin) {
+  const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(PIN_SALT_BYTES)));
+  return {
+    algorithm: PIN_HASH_ALGORITHM,
+    iterations: PIN_HASH_ITERATIONS,
+    salt,
+    hash: await derivePinHash(pin, salt, PIN_HASH_ITERATIONS)
+  };
+}
+
+/**
+ * Stored value -> record, or null when no PIN is set. Old SHA-256 hex strings are
+ * wrapped in PBKDF2 so the fast unsalted digest does not stay in storage.
+ */
+export async function normalizePinRecord(rawRecord) {
+  if (typeof rawRecord === "string" && /^[0-9a-f]{64}$/.test(rawRecord)) {
+    const record = await createPinRecord(rawRecord);
+    return { ...record, legacySha256: true };
+  }
+
+  if (
+    rawRecord?.algorithm !== PIN_HASH_ALGORITHM ||
+    !Number.isInteger(rawRecord.iterations) ||
+    typeof rawRecord.salt !== "string" ||
+    typeof rawRecord.hash !== "string"
+  ) {
+    return null;
+  }
+
+  return rawRecord;
+}
+
+export async function verifyPinRecord(pin, record) {
+  if (!record || !isValidSixDigitPin(pin)) {
+    return false;
+  }
+
+  const secret = record.legacySha256 ? await sha256Hex(pin) : pin;
+  const candidate = await derivePinHash(secret, record.salt, record.iterations);
+  return timingSafeEqual(candidate, record.hash);
+}
+
+async function derivePinHash(secret, saltHex, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: hexToBytes(saltHex), iterations },
+    keyMaterial,
+    PIN_HASH_BITS
+  );
+  return bytesToHex(new Uint8Array(bits));
+}
+
+export function normalizePinAttempts(rawAttempts) {
+  const failures = Number(rawAttempts?.failures);
+  const lockedUntilMs = Date.parse(rawAttempts?.lockedUntil ?? "");
+  return {
+    failures: Number.isInteger(failures) && failures > 0 ? failures : 0,
+    ...(Number.isFinite(lockedUntilMs) ? { lockedUntil: new Date(lockedUntilMs).toISOString() } : {})
+  };
+}
+
+export function getPinLockoutRemainingMs(attempts, nowMs = Date.now()) {
+  return attempts.lockedUntil ? Math.max(0, Date.parse(attempts.lockedUntil) - nowMs) : 0;
+}
+
+/**
+ * Count one more wrong PIN and start the lockout it earns, if any.
+ */
+export function recordPinFailure(attempts, nowMs = Date.now()) {
+  const failures = attempts.failures + 1;
+  if (failures < FREE_PIN_ATTEMPTS) {
+    return { failures };
+  }
+
+  const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** (failures - FREE_PIN_ATTEMPTS), MAX_LOCKOUT_MS);
+  return { failures, lockedUntil: new Date(nowMs + lockoutMs).toISOString() };
+}
+
+export function formatLockoutTime(remainingMs) {
+  const seconds = Math.ceil(remainingMs / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+
+  const minutes = Math.ceil(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.ceil(minutes / 60)} h`;
+}
+
+/**
+ * Codes like "K7QM-2XPA9R" for users who forget their PIN. Each works once.
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_LENGTH));
+    const code = Array.from(
+      bytes,
+      (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]
+    ).join("");
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+}
+
+/**
+ * Case, spaces and dashes do not matter when a code is typed back in.
+ */
+export function normalizeRecoveryCode(rawCode) {
+  return String(rawCode ?? "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+}
+
+export async function hashRecoveryCode(rawCode) {
+  return sha256Hex(normalizeRecoveryCode(rawCode));
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g)?.map((pair) => parseInt(pair, 16)) ?? []);
+}
+
+function timingSafeEqual(left, right) {
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let index = 0; index < left.length; index += 1) {
+    difference |= left.charCodeAt(index) ^ right.charCodeAt(index);
+  }
+  return difference === 0;
+}
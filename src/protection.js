@@ -0,0 +1,237 @@
+import { getLockEndMs, isEntryLocked } from "./lock.js";
+import { findRuleGroup, groupKey, isRuleGroupEnabled } from "./groups.js";
+import { getInterstitialSeconds } from "./interstitial.js";
+import { ENTRY_ACTIONS, entryKeyFromEntry, getEntryHostScope, isEntryActive } from "./rule-builder.js";
+
+/**
+ * Tamper checks for PIN-protected, challenge-protected and commitment-locked entries.
+ *
+ * The background compares every `blockedEntries` and `ruleGroups` write it did not
+ * make itself against the previous value, and undoes any `pauseState` it did not
+ * start and any shorter `pauseDelaySeconds` or `pauseDelayChange` it did not write.
+ * Recorded attempts are stored under TAMPER_LOG_KEY as
+ * [{ at: "2026-10-19T09:00:00.000Z", entryKey: "domain:example.com", reason: "removed" }];
+ * an undone pause is recorded with `entryKey: "pauseState"`, an undone waiting time
+ * with the storage key it was written to and reason "shortened".
+ */
+export const TAMPER_REASONS = {
+  REMOVED: "removed",
+  UNPROTECTED: "unprotected",
+  SHORTENED: "shortened",
+  DOWNGRADED: "downgraded",
+  RELAXED: "relaxed",
+  UNLOCKED: "unlocked",
+  OVERRIDDEN: "overridden",
+  GROUP_OFF: "group-off",
+  PAUSED: "paused"
+};
+
+export const MAX_TAMPER_LOG_ITEMS = 50;
+
+/**
+ * Protected or locked entries that the next value drops, weakens, or punches through
+ * with a new allow exception. Entries that already expired may disappear freely.
+ * Violations flagged `locked` cannot be approved at all; the others need the PIN, or
+ * the entry's unblock challenge. Overridden entries list the allow entries to blame
+ * as `overriddenBy: [{ entry, previousEntry }]`, previousEntry being null for new ones.
+ */
+export function findProtectionViolations(previousEntries, nextEntries, nowMs = Date.now()) {
+  const nextByKey = new Map(nextEntries.map((entry) => [entryKeyFromEntry(entry), entry]));
+  const newAllowEntries = findNewAllowEntries(previousEntries, nextEntries);
+
+  return previousEntries
+    .filter((entry) => isEntryActive(entry, nowMs))
+    .filter((entry) => entry.requiresMasterPin || entry.unblockChallenge || isEntryLocked(entry, nowMs))
+    .map((entry) => {
+      const entryKey = entryKeyFromEntry(entry);
+      const overriddenBy = newAllowEntries.filter((change) => canAllowEntryOverride(change.entry, entry));
+      const reason =
+        getWeakeningReason(entry, nextByKey.get(entryKey), nowMs) ??
+        (overriddenBy.length > 0 ? TAMPER_REASONS.OVERRIDDEN : null);
+      if (!reason) {
+        return null;
+      }
+
+      // A lock only covers the rule itself; dropping its PIN or challenge is up to those.
+      const locked = isEntryLocked(entry, nowMs) && reason !== TAMPER_REASONS.UNPROTECTED;
+      const violation = { entryKey, reason, entry, locked };
+      return reason === TAMPER_REASONS.OVERRIDDEN ? { ...violation, overriddenBy } : violation;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Allow entries the next value adds, or turns an existing rule into.
+ */
+function findNewAllowEntries(previousEntries, nextEntries) {
+  const previousByKey = new Map(previousEntries.map((entry) => [entryKeyFromEntry(entry), entry]));
+  return nextEntries
+    .filter((entry) => entry.action === ENTRY_ACTIONS.ALLOW)
+    .map((entry) => ({ entry, previousEntry: previousByKey.get(entryKeyFromEntry(entry)) ?? null }))
+    .filter(({ previousEntry }) => previousEntry?.action !== ENTRY_ACTIONS.ALLOW);
+}
+
+/**
+ * Allow exceptions outrank every block, redirect and interstitial rule, so one counts
+ * when the two could ever match the same page. Keyword and regex entries can match
+ * anywhere, so they always might.
+ */
+function canAllowEntryOverride(allowEntry, entry) {
+  if (entry.action === ENTRY_ACTIONS.ALLOW || entry.action === ENTRY_ACTIONS.HIDE_ELEMENTS) {
+    return false;
+  }
+
+  const allowScope = getEntryHostScope(allowEntry);
+  const entryScope = getEntryHostScope(entry);
+  if (!allowScope || !entryScope) {
+    return true;
+  }
+
+  return isHostInScope(allowScope.host, entryScope) || isHostInScope(entryScope.host, allowScope);
+}
+
+function isHostInScope(host, scope) {
+  return host === scope.host || (scope.subdomains && host.endsWith(`.${scope.host}`));
+}
+
+/**
+ * How much of a site each action keeps closed. A blocked site that is redirected or
+ * behind an interstitial can still be reached some way, one with elements hidden is
+ * open, and an allowed one is open even past other rules.
+ */
+const ACTION_STRENGTH = {
+  [ENTRY_ACTIONS.ALLOW]: 0,
+  [ENTRY_ACTIONS.HIDE_ELEMENTS]: 1,
+  [ENTRY_ACTIONS.REDIRECT]: 2,
+  [ENTRY_ACTIONS.INTERSTITIAL]: 2,
+  [ENTRY_ACTIONS.BLOCK]: 3
+};
+
+// Reasons a lock forbids come first, so a PIN cannot approve them alongside unprotecting.
+function getWeakeningReason(previousEntry, nextEntry, nowMs) {
+  if (!nextEntry) {
+    return TAMPER_REASONS.REMOVED;
+  }
+
+  if (Math.max(getLockEndMs(nextEntry), nowMs) < Math.max(getLockEndMs(previousEntry), nowMs)) {
+    return TAMPER_REASONS.UNLOCKED;
+  }
+
+  const previousExpiryMs = previousEntry.expiresAt ? Date.parse(previousEntry.expiresAt) : Infinity;
+  const nextExpiryMs = nextEntry.expiresAt ? Date.parse(nextEntry.expiresAt) : Infinity;
+  if (nextExpiryMs < previousExpiryMs) {
+    return TAMPER_REASONS.SHORTENED;
+  }
+
+  if (ACTION_STRENGTH[nextEntry.action] < ACTION_STRENGTH[previousEntry.action]) {
+    return TAMPER_REASONS.DOWNGRADED;
+  }
+
+  if (isEntryRelaxed(previousEntry, nextEntry)) {
+    return TAMPER_REASONS.RELAXED;
+  }
+
+  return isProtectionDropped(previousEntry, nextEntry) ? TAMPER_REASONS.UNPROTECTED : null;
+}
+
+/**
+ * A new or changed schedule, budget, visit limit or group can switch the rule off part
+ * of the time. Dropping one only makes the rule apply more often. A shorter
+ * interstitial wait lets visits through sooner.
+ */
+function isEntryRelaxed(previousEntry, nextEntry) {
+  if (nextEntry.group && groupKey(nextEntry.group) !== groupKey(previousEntry.group)) {
+    return true;
+  }
+
+  const isInterstitialShortened =
+    previousEntry.action === ENTRY_ACTIONS.INTERSTITIAL &&
+    nextEntry.action === ENTRY_ACTIONS.INTERSTITIAL &&
+    getInterstitialSeconds(nextEntry) < getInterstitialSeconds(previousEntry);
+  if (isInterstitialShortened) {
+    return true;
+  }
+
+  return ["schedule", "dailyBudgetMinutes", "dailyVisitLimit"].some(
+    (field) =>
+      nextEntry[field] != null && JSON.stringify(nextEntry[field]) !== JSON.stringify(previousEntry[field])
+  );
+}
+
+function isProtectionDropped(previousEntry, nextEntry) {
+  if (previousEntry.requiresMasterPin) {
+    return !nextEntry.requiresMasterPin;
+  }
+
+  // Any change counts, so a long countdown cannot be swapped for a short one for free.
+  return (
+    Boolean(previousEntry.unblockChallenge) &&
+    JSON.stringify(previousEntry.unblockChallenge) !== JSON.stringify(nextEntry.unblockChallenge)
+  );
+}
+
+/**
+ * Put the previous version of each violated entry, and of each allow entry that
+ * overrode one, back (dropping new allow entries), keeping every other change.
+ */
+export function restoreProtectedEntries(entries, violations) {
+  const restoredByKey = new Map(
+    violations
+      .flatMap((violation) => violation.overriddenBy ?? [])
+      .map(({ entry, previousEntry }) => [entryKeyFromEntry(entry), previousEntry])
+  );
+  violations.forEach((violation) => restoredByKey.set(violation.entryKey, violation.entry));
+  const restored = entries
+    .map((entry) => {
+      const entryKey = entryKeyFromEntry(entry);
+      return restoredByKey.has(entryKey) ? restoredByKey.get(entryKey) : entry;
+    })
+    .filter(Boolean);
+  const presentKeys = new Set(entries.map((entry) => entryKeyFromEntry(entry)));
+
+  violations.forEach((violation) => {
+    if (!presentKeys.has(violation.entryKey)) {
+      restored.push(violation.entry);
+    }
+  });
+
+  return restored;
+}
+
+/**
+ * PIN-protected and challenge entries that a change to the stored groups switches
+ * off sooner: their group turned off, or given an earlier end. Locked entries ignore
+ * their group, so they never count.
+ */
+export function findGroupViolations(previousGroups, nextGroups, entries, nowMs = Date.now()) {
+  return entries
+    .filter((entry) => entry.group && (entry.requiresMasterPin || entry.unblockChallenge))
+    .filter((entry) => isEntryActive(entry, nowMs) && !isEntryLocked(entry, nowMs))
+    .filter(
+      (entry) =>
+        getGroupEndMs(findRuleGroup(nextGroups, entry.group), nowMs) <
+        getGroupEndMs(findRuleGroup(previousGroups, entry.group), nowMs)
+    )
+    .map((entry) => ({ entryKey: entryKeyFromEntry(entry), reason: TAMPER_REASONS.GROUP_OFF, entry }));
+}
+
+// Groups without a record are always on.
+function getGroupEndMs(group, nowMs) {
+  if (!isRuleGroupEnabled(group, nowMs)) {
+    return nowMs;
+  }
+
+  return group?.expiresAt ? Date.parse(group.expiresAt) : Infinity;
+}
+
+/**
+ * Put the previous record of each group a violation is about back, keeping every
+ * other change.
+ */
+export function restoreProtectedGroups(groups, previousGroups, violations) {
+  const violatedKeys = new Set(violations.map((violation) => groupKey(violation.entry.group)));
+  return [
+    ...groups.filter((group) => !violatedKeys.has(groupKey(group.name))),
+    ...previousGroups.filter((group) => violatedKeys.has(groupKey(group.name)))
+  ];
+}
@@ -1,3 +1,17 @@
+import { normalizeUnblockChallenge } from "./challenge.js";
+import { FOCUS_PHASES, getFocusPhaseForEntry } from "./focus-session.js";
+import { isEntryGroupEnabled, normalizeGroupName } from "./groups.js";
+import { normalizeInterstitialSeconds } from "./interstitial.js";
+import { isEntryLocked } from "./lock.js";
+import { isEntryPaused } from "./pause.js";
+import { getNextScheduleTransition, isScheduleActive, normalizeSchedule } from "./schedule.js";
+import {
+  hasDailyAllowance,
+  isDailyAllowanceSpent,
+  normalizeDailyBudget,
+  normalizeDailyVisitLimit
+} from "./usage.js";
+
 /**
  * Shared storage key so popup/background stay in sync.
  */
@@ -5,20 +19,105 @@ export const BLOCKED_ENTRIES_KEY = "blockedEntries";
 export const BLOCK_LOGS_KEY = "blockedLogs";
 export const RULE_ID_TO_ENTRY_KEY = "ruleIdToEntryKey";
 export const MASTER_PIN_HASH_KEY = "masterPinHash";
+export const PIN_ATTEMPTS_KEY = "pinAttempts";
+export const RECOVERY_CODE_HASHES_KEY = "recoveryCodeHashes";
+
+/**
+ * Hide-element entries enforced right now, published by the background for content scripts.
+ */
+export const ACTIVE_HIDE_ENTRIES_KEY = "activeHideEntries";
+
+/**
+ * Global "block everything except the allowlist" mode and its domain list.
+ */
+export const ALLOWLIST_MODE_KEY = "allowlistMode";
+
+/**
+ * Per-day foreground usage for budgeted rules, and the local time the day rolls over.
+ */
+export const DAILY_USAGE_KEY = "dailyUsage";
+export const DAILY_RESET_TIME_KEY = "dailyResetTime";
+
+/**
+ * Running Pomodoro-style focus session, if any.
+ */
+export const FOCUS_SESSION_KEY = "focusSession";
+
+/**
+ * Named rule groups and whether each one is switched on.
+ */
+export const RULE_GROUPS_KEY = "ruleGroups";
+
+/**
+ * Temporary "pause all blocking" state, the waiting time before a pause starts and a
+ * shorter waiting time that is still waiting to apply.
+ */
+export const PAUSE_STATE_KEY = "pauseState";
+export const PAUSE_DELAY_SECONDS_KEY = "pauseDelaySeconds";
+export const PAUSE_DELAY_CHANGE_KEY = "pauseDelayChange";
+
+/**
+ * Installed rule counts and entries that could not be enforced, published by the background.
+ */
+export const RULE_STATUS_KEY = "ruleStatus";
+
+/**
+ * Rule IDs handed out per compiled unit, so unchanged entries keep their IDs across syncs.
+ */
+export const RULE_ID_ALLOCATION_KEY = "ruleIdAllocation";
+
+/**
+ * Unauthorized changes to protected entries that the background undid.
+ */
+export const TAMPER_LOG_KEY = "tamperLog";
+
+/**
+ * Unblock challenges the background issued and has not seen completed yet (session storage).
+ */
+export const UNBLOCK_CHALLENGES_KEY = "unblockChallenges";
+
+/**
+ * "Continue anyway" bypasses still running (session storage) and the log of every one granted.
+ */
+export const ACTIVE_BYPASSES_KEY = "activeBypasses";
+export const BYPASS_LOG_KEY = "bypassLog";
+
+/**
+ * Tabs allowed past an interstitial (session storage) and the intentions users gave.
+ */
+export const INTERSTITIAL_PASSES_KEY = "interstitialPasses";
+export const INTENTION_LOG_KEY = "intentionLog";
+
+/**
+ * The user's block page: messages, productive alternatives and theme.
+ */
+export const BLOCK_PAGE_SETTINGS_KEY = "blockPageSettings";
 
 /**
  * Types of entries users can add from the popup.
  */
 export const ENTRY_TYPES = {
   DOMAIN: "domain",
-  PATTERN: "pattern"
+  PATTERN: "pattern",
+  REGEX: "regex",
+  KEYWORD: "keyword"
 };
 
+/**
+ * Keywords compile to a plain urlFilter substring, so urlFilter operators are not allowed.
+ */
+export const MIN_KEYWORD_LENGTH = 3;
+
 export const ENTRY_ACTIONS = {
   BLOCK: "block",
-  HIDE_ELEMENTS: "hide-elements"
+  HIDE_ELEMENTS: "hide-elements",
+  ALLOW: "allow",
+  INTERSTITIAL: "interstitial",
+  REDIRECT: "redirect"
 };
 
+export const MAX_BLOCK_MESSAGE_LENGTH = 200;
+
 /**
  * Keep dynamic rule IDs in a known range to avoid collisions.
  */
@@ -28,6 +127,25 @@ const RULE_ID_OFFSET = 10_000;
  * Declarative Net Request only allows a finite number of dynamic rules.
  */
 export const MAX_DYNAMIC_RULES = 5_000;
+
+/**
+ * Chrome's separate, much smaller cap on rules that use regexFilter.
+ */
+export const MAX_REGEX_RULES = 1_000;
+
+/**
+ * Rules that do not fit the dynamic set spill into session rules, which have their own cap.
+ */
+export const MAX_SESSION_RULES = 5_000;
+const MAX_DOMAINS_PER_RULE = 1_000;
+
+/**
+ * Why an entry has no installed rules even though it should be enforced.
+ */
+export const UNENFORCED_REASONS = {
+  RULE_LIMIT: "rule-limit",
+  REGEX_LIMIT: "regex-limit"
+};
 export const MAX_RECENT_BLOCKED_SITES = 20;
 
 /**
@@ -47,7 +165,32 @@ const BLOCKED_RESOURCE_TYPES = [
 ];
 const MAIN_FRAME_RESOURCE_TYPES = ["main_frame"];
 const NON_MAIN_RESOURCE_TYPES = BLOCKED_RESOURCE_TYPES.filter((type) => type !== "main_frame");
+
+/**
+ * Rule priorities, lowest first. Allowlist mode sits below entry rules so explicit
+ * block entries still apply on allowlisted sites, allow exceptions beat both, and a
+ * granted bypass beats everything. Interstitials rank below blocks, and a tab's pass
+ * through an interstitial only outranks the interstitial itself. Redirect entries rank
+ * with the block page redirects.
+ */
+const ALLOWLIST_CATCH_ALL_PRIORITY = 1;
+const ALLOWLIST_ALLOW_PRIORITY = 2;
+const INTERSTITIAL_RULE_PRIORITY = 3;
+const INTERSTITIAL_PASS_PRIORITY = 4;
+const BLOCK_RULE_PRIORITY = 5;
+const REDIRECT_RULE_PRIORITY = 6;
+const ALLOW_RULE_PRIORITY = 7;
+const BYPASS_RULE_PRIORITY = 8;
+
+/**
+ * allowAllRequests only accepts frame types; everything else gets a plain allow rule.
+ */
+const FRAME_RESOURCE_TYPES = ["main_frame", "sub_frame"];
+const NON_FRAME_RESOURCE_TYPES = BLOCKED_RESOURCE_TYPES.filter(
+  (type) => !FRAME_RESOURCE_TYPES.includes(type)
+);
 const BLOCK_PAGE_EXTENSION_PATH = "/blocked.html";
+const ALLOWLIST_BLOCK_PAGE_PATH = `${BLOCK_PAGE_EXTENSION_PATH}?reason=allowlist`;
 
 /**
  * Normalize incoming user entries and discard invalid rows.
@@ -85,28 +228,90 @@ export function normalizeEntries(rawEntries) {
       const pattern = rawValue;
       const nextEntry = buildNormalizedEntry({ type: ENTRY_TYPES.PATTERN, value: pattern }, rawEntry);
       upsertNormalizedEntry(normalized, keyToIndex, nextEntry);
+      continue;
+    }
+
+    // RE2 support is checked against DNR when the entry is added; here we only
+    // drop values the popup and content script could not evaluate either.
+    if (type === ENTRY_TYPES.REGEX && isValidJsRegex(rawValue)) {
+      const nextEntry = buildNormalizedEntry({ type: ENTRY_TYPES.REGEX, value: rawValue }, rawEntry);
+      upsertNormalizedEntry(normalized, keyToIndex, nextEntry);
+      continue;
+    }
+
+    if (type === ENTRY_TYPES.KEYWORD) {
+      const caseSensitive = rawEntry.caseSensitive === true;
+      const keyword = normalizeKeyword(rawValue, caseSensitive);
+      if (!keyword) {
+        continue;
+      }
+      const baseEntry = { type: ENTRY_TYPES.KEYWORD, value: keyword };
+      const nextEntry = buildNormalizedEntry(caseSensitive ? { ...baseEntry, caseSensitive } : baseEntry, rawEntry);
+      upsertNormalizedEntry(normalized, keyToIndex, nextEntry);
     }
   }
 
-  return normalized.slice(0, MAX_DYNAMIC_RULES);
+  return normalized;
 }
 
 function buildNormalizedEntry(baseEntry, rawEntry) {
   const expiresAt = normalizeExpiry(rawEntry?.expiresAt);
+  const lockedUntil = normalizeExpiry(rawEntry?.lockedUntil);
   const requiresMasterPin = normalizeProtectedRule(rawEntry?.requiresMasterPin);
-  const action = normalizeEntryAction(rawEntry?.action);
+  const unblockChallenge = normalizeUnblockChallenge(rawEntry?.unblockChallenge);
+  const redirectUrl = normalizeRedirectUrl(rawEntry?.redirectUrl);
+  // A redirect without a usable target keeps the site closed instead.
+  const action =
+    rawEntry?.action === ENTRY_ACTIONS.REDIRECT && getRedirectTargetError(baseEntry, redirectUrl)
+      ? ENTRY_ACTIONS.BLOCK
+      : normalizeEntryAction(rawEntry?.action);
   const selectors = normalizeSelectors(rawEntry?.selectors);
+  const schedule = normalizeSchedule(rawEntry?.schedule);
+  const dailyBudgetMinutes = normalizeDailyBudget(rawEntry?.dailyBudgetMinutes);
+  const dailyVisitLimit = normalizeDailyVisitLimit(rawEntry?.dailyVisitLimit);
+  const interstitialSeconds = normalizeInterstitialSeconds(rawEntry?.interstitialSeconds);
+  const blockMessage = normalizeBlockMessage(rawEntry?.blockMessage);
+  const group = normalizeGroupName(rawEntry?.group);
 
   let nextEntry = { ...baseEntry, action };
   if (expiresAt) {
     nextEntry = { ...nextEntry, expiresAt };
   }
+  if (schedule) {
+    nextEntry = { ...nextEntry, schedule };
+  }
   if (requiresMasterPin) {
     nextEntry = { ...nextEntry, requiresMasterPin: true };
+  } else if (unblockChallenge) {
+    // A challenge is the PIN-free alternative; with a PIN set it would only weaken it.
+    nextEntry = { ...nextEntry, unblockChallenge };
+  }
+  if (lockedUntil) {
+    nextEntry = { ...nextEntry, lockedUntil };
+  }
+  if (group) {
+    nextEntry = { ...nextEntry, group };
   }
   if (action === ENTRY_ACTIONS.HIDE_ELEMENTS && selectors.length > 0) {
     nextEntry = { ...nextEntry, selectors };
   }
+  if (action === ENTRY_ACTIONS.INTERSTITIAL && interstitialSeconds) {
+    nextEntry = { ...nextEntry, interstitialSeconds };
+  }
+  if (action === ENTRY_ACTIONS.REDIRECT) {
+    nextEntry = { ...nextEntry, redirectUrl };
+  }
+  // Only rules that land on the block page can show a message there.
+  if (blockMessage && (action === ENTRY_ACTIONS.BLOCK || action === ENTRY_ACTIONS.INTERSTITIAL)) {
+    nextEntry = { ...nextEntry, blockMessage };
+  }
+  // Budgets cap access to a site, so they only make sense for full-block rules.
+  // An entry uses either a time budget or a visit limit; the budget wins if both are set.
+  if (action === ENTRY_ACTIONS.BLOCK && dailyBudgetMinutes) {
+    nextEntry = { ...nextEntry, dailyBudgetMinutes };
+  } else if (action === ENTRY_ACTIONS.BLOCK && baseEntry.type === ENTRY_TYPES.DOMAIN && dailyVisitLimit) {
+    nextEntry = { ...nextEntry, dailyVisitLimit };
+  }
 
   return nextEntry;
 }
@@ -126,8 +331,8 @@ function upsertNormalizedEntry(normalized, keyToIndex, entry) {
 /**
  * Convert user entries into Chrome DNR dynamic block rules.
  */
-export function buildDynamicRules(entries) {
-  return buildRuleRecords(entries).map((record) => record.rule);
+export function buildDynamicRules(entries, options = {}) {
+  return buildRulePlan(entries, options).dynamicRules;
 }
 
 /**
@@ -139,56 +344,529 @@ export function entryKeyFromEntry(entry) {
 
 /**
  * Build a map so runtime rule IDs can be traced back to logical entry keys.
+ * Merged domain rules map to an array of the entry keys they cover.
+ */
+export function buildRuleIdToEntryKeyMap(entries, options = {}) {
+  return buildRulePlan(entries, options).ruleIdToEntryKey;
+}
+
+/**
+ * Compile entries and place them within Chrome's limits. Units that do not fit the
+ * dynamic set spill into session rules (bypass rules always go there); entries that
+ * fit neither, or that would exceed the regex cap, are reported in `unenforced`
+ * (entry key -> reason). Near the regex cap, block page redirects drop the blocked URL
+ * rather than their rules, and they are the first to.
+ *
+ * Pass the previous `ruleIdAllocation` to keep each unit's rule IDs stable across
+ * syncs; new units get IDs that have never been handed out before. Units of
+ * `storedEntries` (every stored entry, enforced or not) keep their IDs while they
+ * compile to nothing, so a schedule flip reinstalls a rule under the same IDs.
+ * Returns { dynamicRules, sessionRules, ruleIdToEntryKey, unenforced, ruleIdAllocation }.
+ */
+export function buildRulePlan(entries, { ruleIdAllocation = null, storedEntries = [], ...options } = {}) {
+  const previousAllocation = normalizeRuleIdAllocation(ruleIdAllocation);
+  const plan = {
+    dynamicRules: [],
+    sessionRules: [],
+    ruleIdToEntryKey: {},
+    unenforced: {},
+    ruleIdAllocation: { nextRuleId: previousAllocation.nextRuleId, units: {} }
+  };
+  // Placement uses each unit's cheapest rules, so rules that need a regex to match get
+  // the regex cap first; regex block page redirects only take what is left.
+  let regexRuleCount = 0;
+  let dynamicRuleCount = 0;
+  let sessionRuleCount = 0;
+  const placements = [];
+
+  for (const unit of buildRuleUnits(entries, options)) {
+    const rules = unit.fallbackRules ?? unit.rules;
+    const regexCost = countRegexRules(rules);
+    let target = null;
+    let reason = UNENFORCED_REASONS.RULE_LIMIT;
+
+    if (regexRuleCount + regexCost > MAX_REGEX_RULES) {
+      reason = UNENFORCED_REASONS.REGEX_LIMIT;
+    } else if (!unit.sessionOnly && dynamicRuleCount + rules.length <= MAX_DYNAMIC_RULES) {
+      target = plan.dynamicRules;
+      dynamicRuleCount += rules.length;
+    } else if (sessionRuleCount + rules.length <= MAX_SESSION_RULES) {
+      target = plan.sessionRules;
+      sessionRuleCount += rules.length;
+    }
+
+    if (!target) {
+      unit.entryKeys.forEach((entryKey) => {
+        plan.unenforced[entryKey] = reason;
+      });
+      continue;
+    }
+
+    regexRuleCount += regexCost;
+    placements.push({ unit, rules, target });
+  }
+
+  // Both variants have the same rules in the same order, only the redirects differ.
+  for (const placement of placements) {
+    const { fallbackRules, rules } = placement.unit;
+    const extraRegexCost = fallbackRules ? countRegexRules(rules) - countRegexRules(fallbackRules) : 0;
+    if (fallbackRules && regexRuleCount + extraRegexCost <= MAX_REGEX_RULES) {
+      placement.rules = rules;
+      regexRuleCount += extraRegexCost;
+    }
+  }
+
+  const isStoredUnitKey = buildStoredUnitKeyMatcher(storedEntries);
+  Object.entries(previousAllocation.units)
+    .filter(([unitKey]) => isStoredUnitKey(unitKey))
+    .forEach(([unitKey, ids]) => {
+      plan.ruleIdAllocation.units[unitKey] = ids;
+    });
+
+  for (const { unit, rules, target } of placements) {
+    const previousIds = previousAllocation.units[unit.key] ?? [];
+    const unitIds = rules.map(
+      (_rule, index) => previousIds[index] ?? plan.ruleIdAllocation.nextRuleId++
+    );
+    plan.ruleIdAllocation.units[unit.key] = unitIds;
+
+    for (const [index, rule] of rules.entries()) {
+      const id = unitIds[index];
+      target.push({ id, ...rule });
+
+      // Allowlist-mode rules are not tied to an entry, so they carry no log bucket.
+      if (unit.entryKeys.length > 0) {
+        plan.ruleIdToEntryKey[String(id)] = unit.entryKeys.length === 1 ? unit.entryKeys[0] : unit.entryKeys;
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Whether a unit key belongs to one of the stored entries. Domain batches match on
+ * every chunk, since how domains split into chunks depends on which are enforced.
+ */
+function buildStoredUnitKeyMatcher(storedEntries) {
+  const entryKeys = new Set();
+  const domainBatchPrefixes = new Set();
+  normalizeEntries(storedEntries).forEach((entry) => {
+    if (entry.type === ENTRY_TYPES.DOMAIN) {
+      domainBatchPrefixes.add(`domains:${getDomainBatchKey(entry)}#`);
+    } else {
+      entryKeys.add(entryKeyFromEntry(entry));
+    }
+  });
+
+  return (unitKey) =>
+    entryKeys.has(unitKey) || [...domainBatchPrefixes].some((prefix) => unitKey.startsWith(prefix));
+}
+
+/**
+ * Stored shape: { nextRuleId: 10042, units: { "pattern:*://x.com/*": [10040, 10041] } }
  */
-export function buildRuleIdToEntryKeyMap(entries) {
-  const mapping = {};
-  buildRuleRecords(entries).forEach((record) => {
-    mapping[String(record.rule.id)] = record.entryKey;
+function normalizeRuleIdAllocation(rawAllocation) {
+  const units = {};
+  let highestId = RULE_ID_OFFSET - 1;
+
+  Object.entries(rawAllocation?.units ?? {}).forEach(([unitKey, ids]) => {
+    if (Array.isArray(ids) && ids.every((id) => Number.isInteger(id) && id >= RULE_ID_OFFSET)) {
+      units[unitKey] = ids;
+      highestId = Math.max(highestId, ...ids);
+    }
   });
 
-  return mapping;
+  const storedNextId = Number(rawAllocation?.nextRuleId);
+  const nextRuleId = Number.isInteger(storedNextId) ? Math.max(storedNextId, highestId + 1) : highestId + 1;
+  return { nextRuleId, units };
 }
 
-function buildRuleRecords(entries) {
-  const records = [];
-  let nextRuleId = RULE_ID_OFFSET;
+/**
+ * Group compiled rules into units that must be installed together. Each unit has a
+ * `key` that survives edits (entry key, domain batch, or allowlist mode) so its IDs can too.
+ * Options: { allowlistMode, groups, blockPageUrl, bypassSites, interstitialPasses } - an
+ * active allowlist mode adds its catch-all rules, when groups are given only entries from
+ * enabled groups are compiled, blockPageUrl (the absolute blocked.html URL) lets redirects
+ * pass the blocked URL along, and each bypassed site and interstitial pass ({ tabId, site })
+ * gets a session-only allow rule.
+ */
+function buildRuleUnits(
+  entries,
+  {
+    allowlistMode = null,
+    groups = null,
+    blockPageUrl = null,
+    bypassSites = [],
+    interstitialPasses = []
+  } = {}
+) {
+  const units = [
+    ...bypassSites.map((site) => ({
+      key: `bypass:${site}`,
+      entryKeys: [],
+      sessionOnly: true,
+      rules: buildBypassRules(site)
+    })),
+    ...interstitialPasses.map(({ tabId, site }) => ({
+      key: `interstitial-pass:${tabId}|${site}`,
+      entryKeys: [],
+      sessionOnly: true,
+      rules: buildInterstitialPassRules(tabId, site)
+    }))
+  ];
+  if (allowlistMode) {
+    units.push({
+      key: "allowlist-mode",
+      entryKeys: [],
+      rules: buildAllowlistModeRules(allowlistMode, blockPageUrl)
+    });
+  }
 
-  const blockEntries = normalizeEntries(entries).filter(
-    (entry) => entry.action !== ENTRY_ACTIONS.HIDE_ELEMENTS
+  const networkEntries = normalizeEntries(entries).filter(
+    (entry) =>
+      entry.action !== ENTRY_ACTIONS.HIDE_ELEMENTS && (!groups || isEntryGroupEnabled(entry, groups))
   );
 
-  for (const entry of blockEntries) {
-    if (records.length >= MAX_DYNAMIC_RULES) {
-      break;
+  // Domain entries with the same action and block page (or redirect target) share one
+  // rule pair via requestDomains, so a long domain list costs two rules instead of two per entry.
+  const domainBatches = new Map();
+  const domainBatchCounts = new Map();
+  for (const entry of networkEntries) {
+    if (entry.type !== ENTRY_TYPES.DOMAIN) {
+      const entryKey = entryKeyFromEntry(entry);
+      units.push({ key: entryKey, entryKeys: [entryKey], entries: [entry] });
+      continue;
+    }
+
+    const batchKey = getDomainBatchKey(entry);
+    const batch = domainBatches.get(batchKey);
+    if (batch && batch.entries.length < MAX_DOMAINS_PER_RULE) {
+      batch.entryKeys.push(entryKeyFromEntry(entry));
+      batch.entries.push(entry);
+      continue;
     }
 
-    const entryKey = entryKeyFromEntry(entry);
-    records.push({
-      entryKey,
-      rule: {
-        id: nextRuleId++,
-        priority: 2,
-        action: { type: "redirect", redirect: { extensionPath: BLOCK_PAGE_EXTENSION_PATH } },
-        condition: buildConditionFromEntry(entry, MAIN_FRAME_RESOURCE_TYPES)
+    const chunkIndex = domainBatchCounts.get(batchKey) ?? 0;
+    const nextBatch = {
+      key: `domains:${batchKey}#${chunkIndex}`,
+      entryKeys: [entryKeyFromEntry(entry)],
+      entries: [entry]
+    };
+    domainBatchCounts.set(batchKey, chunkIndex + 1);
+    domainBatches.set(batchKey, nextBatch);
+    units.push(nextBatch);
+  }
+
+  units.forEach((unit) => {
+    if (unit.entries) {
+      unit.rules = buildEntryUnitRules(unit.entries, blockPageUrl);
+      // Past the regex cap, plain block page redirects still block; the page then only
+      // gets the rule's key. Interstitials need the URL to send the visit on.
+      if (blockPageUrl && unit.entries[0].action !== ENTRY_ACTIONS.INTERSTITIAL) {
+        unit.fallbackRules = buildEntryUnitRules(unit.entries, null);
       }
-    });
+      delete unit.entries;
+    }
+  });
+
+  return units;
+}
+
+function getDomainBatchKey(entry) {
+  const target = entry.action === ENTRY_ACTIONS.REDIRECT ? entry.redirectUrl : buildBlockPagePath(entry);
+  return `${entry.action}|${target}`;
+}
+
+function buildEntryUnitRules(unitEntries, blockPageUrl) {
+  const [firstEntry] = unitEntries;
+  let rules = buildBlockRules(firstEntry, blockPageUrl);
+  if (firstEntry.action === ENTRY_ACTIONS.ALLOW) {
+    rules = buildAllowRules(firstEntry);
+  } else if (firstEntry.action === ENTRY_ACTIONS.INTERSTITIAL) {
+    rules = buildInterstitialRules(firstEntry, blockPageUrl);
+  } else if (firstEntry.action === ENTRY_ACTIONS.REDIRECT) {
+    rules = buildRedirectRules(firstEntry);
+  }
+  if (unitEntries.length === 1) {
+    return rules;
+  }
+
+  // Keep a redirect's whole-URL regexFilter; the domains themselves move to requestDomains.
+  const requestDomains = unitEntries.map((entry) => entry.value);
+  return rules.map((rule) => {
+    const { regexFilter, resourceTypes } = rule.condition;
+    const condition = { requestDomains, resourceTypes };
+    return { ...rule, condition: regexFilter ? { ...condition, regexFilter } : condition };
+  });
+}
 
-    if (records.length >= MAX_DYNAMIC_RULES) {
-      break;
+function buildBlockRules(entry, blockPageUrl) {
+  return [
+    buildBlockPageRedirectRule(REDIRECT_RULE_PRIORITY, buildBlockPagePath(entry), blockPageUrl, {
+      condition: buildConditionFromEntry(entry, MAIN_FRAME_RESOURCE_TYPES),
+      wholeUrlCondition: buildWholeUrlCondition(entry)
+    }),
+    {
+      priority: BLOCK_RULE_PRIORITY,
+      action: { type: "block" },
+      condition: buildConditionFromEntry(entry, NON_MAIN_RESOURCE_TYPES)
     }
+  ];
+}
 
-    records.push({
-      entryKey,
-      rule: {
-        id: nextRuleId++,
-        priority: 1,
-        action: { type: "block" },
-        condition: buildConditionFromEntry(entry, NON_MAIN_RESOURCE_TYPES)
-      }
+/**
+ * Interstitials only stop page loads; once the page is open, it loads normally.
+ */
+function buildInterstitialRules(entry, blockPageUrl) {
+  return [
+    buildBlockPageRedirectRule(INTERSTITIAL_RULE_PRIORITY, buildBlockPagePath(entry), blockPageUrl, {
+      condition: buildConditionFromEntry(entry, MAIN_FRAME_RESOURCE_TYPES),
+      wholeUrlCondition: buildWholeUrlCondition(entry)
+    })
+  ];
+}
+
+/**
+ * Redirect entries send page loads to their target; pages opened some other way load
+ * their resources normally.
+ */
+function buildRedirectRules(entry) {
+  return [
+    {
+      priority: REDIRECT_RULE_PRIORITY,
+      action: { type: "redirect", redirect: { url: entry.redirectUrl } },
+      condition: buildConditionFromEntry(entry, MAIN_FRAME_RESOURCE_TYPES)
+    }
+  ];
+}
+
+/**
+ * Main-frame redirect to the block page. Given the absolute blocked.html URL and a
+ * condition whose regexFilter matches the whole URL, it uses a regexSubstitution that
+ * appends the blocked URL (`\0`) as the fragment, where its own "&" and "#" need no
+ * escaping. Otherwise it falls back to a plain extensionPath redirect.
+ */
+function buildBlockPageRedirectRule(priority, pagePath, blockPageUrl, { condition, wholeUrlCondition }) {
+  if (!blockPageUrl || !wholeUrlCondition) {
+    return { priority, action: { type: "redirect", redirect: { extensionPath: pagePath } }, condition };
+  }
+
+  const pageUrl = new URL(pagePath, blockPageUrl).href;
+  return {
+    priority,
+    action: { type: "redirect", redirect: { regexSubstitution: `${pageUrl}#\\0` } },
+    condition: wholeUrlCondition
+  };
+}
+
+/**
+ * Same match as the entry's main-frame condition, as a regexFilter spanning the whole URL.
+ * urlFilter conditions cannot also carry a regexFilter, so keywords and plain wildcards
+ * are rewritten as regexes.
+ */
+function buildWholeUrlCondition(entry) {
+  if (entry.type === ENTRY_TYPES.DOMAIN) {
+    return { requestDomains: [entry.value], regexFilter: "^.*$", resourceTypes: MAIN_FRAME_RESOURCE_TYPES };
+  }
+
+  const condition = buildConditionFromEntry(entry, MAIN_FRAME_RESOURCE_TYPES);
+  if (!condition.regexFilter) {
+    const { urlFilter: _urlFilter, ...rest } = condition;
+    // Keywords never contain urlFilter operators such as `*`, so escaping is enough.
+    const regexFilter =
+      entry.type === ENTRY_TYPES.KEYWORD
+        ? escapeRegexExceptStar(entry.value)
+        : wildcardPatternToRegex(entry.value);
+    return { ...rest, regexFilter: `^.*(?:${regexFilter}).*$` };
+  }
+
+  return { ...condition, regexFilter: `^.*(?:${condition.regexFilter}).*$` };
+}
+
+/**
+ * Query string for the block page: whether it should act as an interstitial, the entry
+ * key (domain entries share merged rules, so the page finds their entry from the
+ * blocked URL), and why a visit-limited site is closed.
+ */
+function buildBlockPagePath(entry) {
+  const params = new URLSearchParams();
+  if (entry.action === ENTRY_ACTIONS.INTERSTITIAL) {
+    params.set("mode", "interstitial");
+  }
+
+  if (entry.type !== ENTRY_TYPES.DOMAIN) {
+    params.set("rule", entryKeyFromEntry(entry));
+  }
+
+  if (entry.dailyVisitLimit) {
+    params.set("reason", "visit-limit");
+    params.set("limit", String(entry.dailyVisitLimit));
+  }
+
+  const query = params.toString();
+  return query ? `${BLOCK_PAGE_EXTENSION_PATH}?${query}` : BLOCK_PAGE_EXTENSION_PATH;
+}
+
+function buildAllowRules(entry) {
+  return [
+    {
+      // Also lets the allowed page load its own scripts/styles from blocked hosts.
+      priority: ALLOW_RULE_PRIORITY,
+      action: { type: "allowAllRequests" },
+      condition: buildConditionFromEntry(entry, FRAME_RESOURCE_TYPES)
+    },
+    {
+      priority: ALLOW_RULE_PRIORITY,
+      action: { type: "allow" },
+      condition: buildConditionFromEntry(entry, NON_FRAME_RESOURCE_TYPES)
+    }
+  ];
+}
+
+/**
+ * A bypass opens the whole site: the page and everything it loads. requestDomains
+ * alone would also take in every subdomain, so the urlFilter pins it to the site itself.
+ */
+function buildBypassRules(site) {
+  return ["http", "https"].map((scheme) => ({
+    priority: BYPASS_RULE_PRIORITY,
+    action: { type: "allowAllRequests" },
+    condition: {
+      urlFilter: `|${scheme}://${site}^`,
+      requestDomains: [site],
+      resourceTypes: FRAME_RESOURCE_TYPES
+    }
+  }));
+}
+
+/**
+ * A pass lets one tab load the site's pages without the interstitial. Block rules for
+ * the same site still apply, since they outrank it.
+ */
+function buildInterstitialPassRules(tabId, site) {
+  return [
+    {
+      priority: INTERSTITIAL_PASS_PRIORITY,
+      action: { type: "allow" },
+      condition: { requestDomains: [site], tabIds: [tabId], resourceTypes: MAIN_FRAME_RESOURCE_TYPES }
+    }
+  ];
+}
+
+function buildAllowlistModeRules(allowlistMode, blockPageUrl) {
+  const rules = [
+    // "|http" anchors to http:// and https:// page loads only.
+    buildBlockPageRedirectRule(ALLOWLIST_CATCH_ALL_PRIORITY, ALLOWLIST_BLOCK_PAGE_PATH, blockPageUrl, {
+      condition: { urlFilter: "|http", resourceTypes: MAIN_FRAME_RESOURCE_TYPES },
+      wholeUrlCondition: { regexFilter: "^https?://.*$", resourceTypes: MAIN_FRAME_RESOURCE_TYPES }
+    })
+  ];
+
+  if (allowlistMode.domains.length > 0) {
+    rules.push({
+      priority: ALLOWLIST_ALLOW_PRIORITY,
+      action: { type: "allowAllRequests" },
+      condition: { requestDomains: allowlistMode.domains, resourceTypes: FRAME_RESOURCE_TYPES }
     });
   }
 
-  return records;
+  return rules;
+}
+
+/**
+ * Block entries an allow exception punches through. Overlap is checked both ways
+ * so "allow youtube.com" also reports a narrower "block music.youtube.com".
+ */
+export function getOverriddenEntries(allowEntry, entries) {
+  const allowSampleUrl = sampleUrlForEntry(allowEntry);
+
+  return normalizeEntries(entries).filter((entry) => {
+    if (entry.action !== ENTRY_ACTIONS.BLOCK) {
+      return false;
+    }
+
+    return (
+      entryMatchesUrl(entry, allowSampleUrl) || entryMatchesUrl(allowEntry, sampleUrlForEntry(entry))
+    );
+  });
+}
+
+/**
+ * Hosts an entry can match: { host, subdomains } for domains and patterns with a plain
+ * host ("*.host" also takes in subdomains), or null when it may match on any host, as
+ * keyword, regex and wildcard-host pattern entries can.
+ */
+export function getEntryHostScope(entry) {
+  if (entry.type === ENTRY_TYPES.DOMAIN) {
+    return { host: entry.value, subdomains: true };
+  }
+  if (entry.type !== ENTRY_TYPES.PATTERN) {
+    return null;
+  }
+
+  const hostPart = String(entry.value).match(/^[^/]+:\/\/([^/]+)\//)?.[1];
+  const patternHost = (hostPart ?? "*").toLowerCase().replace(/:[0-9*]+$/, "");
+  const host = patternHost.replace(/^\*\./, "");
+  return host.includes("*") ? null : { host, subdomains: host !== patternHost };
+}
+
+/**
+ * Runtime URL matching mirroring the compiled DNR conditions.
+ */
+export function entryMatchesUrl(entry, url) {
+  if (!url) {
+    return false;
+  }
+
+  if (entry.type === ENTRY_TYPES.DOMAIN) {
+    let host = "";
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+    return host === entry.value || host.endsWith(`.${entry.value}`);
+  }
+
+  if (entry.type === ENTRY_TYPES.KEYWORD) {
+    return entry.caseSensitive ? url.includes(entry.value) : url.toLowerCase().includes(entry.value);
+  }
+
+  try {
+    // DNR matches regexFilter case-insensitively unless told otherwise.
+    if (entry.type === ENTRY_TYPES.REGEX) {
+      return new RegExp(entry.value, "i").test(url);
+    }
+
+    return new RegExp(wildcardPatternToRegex(entry.value)).test(url);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Smallest concrete URL an entry matches, used for overlap checks.
+ * Regex and keyword entries have no obvious sample, so overlap is only checked from the other side.
+ */
+function sampleUrlForEntry(entry) {
+  if (entry.type === ENTRY_TYPES.DOMAIN) {
+    return `https://${entry.value}/`;
+  }
+
+  if (entry.type === ENTRY_TYPES.REGEX || entry.type === ENTRY_TYPES.KEYWORD) {
+    return "";
+  }
+
+  const parts = String(entry.value).match(/^([^/]+):\/\/([^/]+)(\/.*)$/);
+  if (!parts) {
+    return String(entry.value).replace(/\*/g, "");
+  }
+
+  const [, schemePart, hostPart, pathPart] = parts;
+  const scheme = schemePart === "*" ? "https" : schemePart.replace(/\*/g, "");
+  const host = hostPart.replace(/^\*\./, "www.").replace(/\*/g, "");
+  return `${scheme}://${host}${pathPart.replace(/\*/g, "")}`;
 }
 
 function buildConditionFromEntry(entry, resourceTypes) {
@@ -200,12 +878,179 @@ function buildConditionFromEntry(entry, resourceTypes) {
     };
   }
 
+  if (entry.type === ENTRY_TYPES.REGEX) {
+    return {
+      regexFilter: entry.value,
+      resourceTypes
+    };
+  }
+
+  // Without anchors urlFilter is a substring match anywhere in the URL.
+  if (entry.type === ENTRY_TYPES.KEYWORD) {
+    return {
+      urlFilter: entry.value,
+      isUrlFilterCaseSensitive: entry.caseSensitive === true,
+      resourceTypes
+    };
+  }
+
+  // Plain wildcards compile to urlFilter, which does not count against the regex rule cap.
+  const urlFilter = compilePatternToUrlFilter(entry.value);
+  if (urlFilter) {
+    return {
+      urlFilter,
+      resourceTypes
+    };
+  }
+
   return {
     regexFilter: wildcardPatternToRegex(entry.value),
     resourceTypes
   };
 }
 
+/**
+ * urlFilter equivalent of wildcardPatternToRegex, or null when only a regex can express it.
+ *
+ * `*` maps to urlFilter's `*` and the implicit ^...$ anchors map to `|`. The regex form
+ * also accepts an optional port after a port-less host; `^` (a separator such as `:` or
+ * `/`) covers that only when any path may follow, so `*://*.example.com/*` compiles to
+ * `://*.example.com^` while `*://example.com/shorts/*` stays a regex.
+ */
+export function compilePatternToUrlFilter(pattern) {
+  const trimmed = String(pattern).trim();
+  if (!/^[\x21-\x7e]+$/.test(trimmed) || /[|^]/.test(trimmed)) {
+    return null;
+  }
+
+  const parts = trimmed.match(/^([^/]+):\/\/([^/]+)(\/.*)$/);
+  if (parts && !parts[2].includes(":")) {
+    const [, schemePart, hostPart, pathPart] = parts;
+    if (pathPart !== "/*") {
+      return null;
+    }
+
+    const scheme = schemePart.startsWith("*") ? schemePart.replace(/^\*+/, "") : `|${schemePart}`;
+    return `${scheme}://${hostPart}^`;
+  }
+
+  const body = trimmed.replace(/^\*+/, "").replace(/\*+$/, "");
+  if (!body) {
+    return null;
+  }
+
+  const start = trimmed.startsWith("*") ? "" : "|";
+  const end = trimmed.endsWith("*") ? "" : "|";
+  return `${start}${body}${end}`;
+}
+
+export function countRegexRules(rules) {
+  return rules.filter((rule) => typeof rule.condition?.regexFilter === "string").length;
+}
+
+/**
+ * Redirects that pass the blocked URL to the block page. Each needs a whole-URL
+ * regexFilter, even for domain rules, so it takes one of Chrome's regex rules.
+ */
+export function countBlockPageRegexRules(rules) {
+  return rules.filter(
+    (rule) =>
+      typeof rule.action?.redirect?.regexSubstitution === "string" &&
+      typeof rule.condition?.regexFilter === "string"
+  ).length;
+}
+
+/**
+ * Structural checks mirroring what updateDynamicRules rejects, so a bad rule can be
+ * reported before it is sent. Returns an error message, or "" for a valid rule.
+ * Regex support still needs chrome.declarativeNetRequest.isRegexSupported.
+ */
+export function validateRule(rule) {
+  const condition = rule.condition ?? {};
+  const { urlFilter, regexFilter, requestDomains } = condition;
+
+  if (!Number.isInteger(rule.id) || rule.id < 1) {
+    return "Rule ID must be a positive integer.";
+  }
+
+  if (urlFilter != null && regexFilter != null) {
+    return "A rule cannot have both a urlFilter and a regexFilter.";
+  }
+
+  if (urlFilter != null) {
+    if (!urlFilter || !isAsciiText(urlFilter)) {
+      return "urlFilter must be non-empty ASCII text.";
+    }
+    if (urlFilter.startsWith("||*")) {
+      return "urlFilter cannot start with ||*.";
+    }
+  }
+
+  if (regexFilter != null && (!regexFilter || !isValidJsRegex(regexFilter))) {
+    return "regexFilter is not a valid regular expression.";
+  }
+
+  if (
+    requestDomains != null &&
+    (!Array.isArray(requestDomains) ||
+      requestDomains.length === 0 ||
+      requestDomains.some((domain) => !domain || !isAsciiText(domain) || domain !== domain.toLowerCase()))
+  ) {
+    return "requestDomains must be a non-empty list of lowercase ASCII domains.";
+  }
+
+  const extensionPath = rule.action?.redirect?.extensionPath;
+  if (extensionPath != null && !String(extensionPath).startsWith("/")) {
+    return "Redirect extensionPath must start with /.";
+  }
+
+  const redirectUrl = rule.action?.redirect?.url;
+  if (redirectUrl != null && !normalizeRedirectUrl(redirectUrl)) {
+    return "Redirect url must be an absolute http(s) URL.";
+  }
+
+  return "";
+}
+
+function isAsciiText(value) {
+  return /^[\x21-\x7e]+$/.test(value);
+}
+
+/**
+ * Minimal update that turns the installed rules into the planned ones. A changed rule
+ * keeps its ID: it is listed in both removeRuleIds and addRules, which Chrome applies
+ * as one atomic replace.
+ */
+export function diffRules(installedRules, nextRules) {
+  const installedById = new Map(installedRules.map((rule) => [rule.id, rule]));
+  const nextIds = new Set(nextRules.map((rule) => rule.id));
+
+  const addRules = nextRules.filter((rule) => {
+    const installed = installedById.get(rule.id);
+    return !installed || stableStringify(installed) !== stableStringify(rule);
+  });
+  const changedIds = new Set(addRules.map((rule) => rule.id));
+  const removeRuleIds = installedRules
+    .map((rule) => rule.id)
+    .filter((id) => !nextIds.has(id) || changedIds.has(id));
+
+  return { removeRuleIds, addRules };
+}
+
+// Chrome may hand rules back with keys in a different order than they were added.
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
 /**
  * Normalize optional expiration timestamps.
  */
@@ -241,12 +1086,135 @@ export function filterActiveEntries(entries, nowMs = Date.now()) {
   return normalizeEntries(entries).filter((entry) => isEntryActive(entry, nowMs));
 }
 
+/**
+ * Entries whose time window applies right now: not expired and inside their schedule.
+ * Budgeted/visit-limited entries in this state are the ones that consume allowance.
+ */
+export function isEntryInEffect(entry, nowMs = Date.now()) {
+  return isEntryActive(entry, nowMs) && isScheduleActive(entry.schedule, nowMs);
+}
+
+/**
+ * Enforced entries are in effect and, when budgeted or visit-limited, have spent
+ * today's allowance. Entries in a focus session follow its phase instead, and an
+ * active pause lifts everything it covers.
+ * Context: { usage, focusSession, pauseState } - today's normalized daily usage, the
+ * current session and the global pause.
+ */
+export function isEntryEnforced(
+  entry,
+  nowMs = Date.now(),
+  { usage = null, focusSession = null, pauseState = null } = {}
+) {
+  if (!isEntryActive(entry, nowMs) || isEntryPaused(entry, pauseState, nowMs)) {
+    return false;
+  }
+
+  // Breaks relax a session's rules, but never a protected or locked one: the session
+  // lives in plain storage, so skipping to a break must not stand in for the PIN.
+  const focusPhase = getFocusPhaseForEntry(focusSession, entryKeyFromEntry(entry));
+  if (focusPhase === FOCUS_PHASES.WORK) {
+    return true;
+  }
+  const isProtected = entry.requiresMasterPin || entry.unblockChallenge || isEntryLocked(entry, nowMs);
+  if (focusPhase && !isProtected) {
+    return false;
+  }
+
+  if (!isScheduleActive(entry.schedule, nowMs)) {
+    return false;
+  }
+
+  return !hasDailyAllowance(entry) || isDailyAllowanceSpent(entry, usage, entryKeyFromEntry(entry));
+}
+
+export function filterEnforcedEntries(entries, nowMs = Date.now(), context = {}) {
+  return normalizeEntries(entries).filter((entry) => isEntryEnforced(entry, nowMs, context));
+}
+
+/**
+ * Next timestamp where an entry expires, its schedule flips or its commitment lock
+ * ends (a pause or a switched-off group may lift it then), or null when static.
+ */
+export function getNextEntryTransition(entry, nowMs = Date.now()) {
+  const candidates = [
+    Date.parse(entry.expiresAt ?? ""),
+    getNextScheduleTransition(entry.schedule, nowMs),
+    Date.parse(entry.lockedUntil ?? "")
+  ]
+    .filter((timestamp) => Number.isFinite(timestamp) && timestamp > nowMs);
+
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+/**
+ * Normalize stored allowlist mode: { enabled, domains, expiresAt? }.
+ * Domains are kept while the mode is off so the list can be reused.
+ */
+export function normalizeAllowlistMode(rawMode) {
+  const source = rawMode && typeof rawMode === "object" ? rawMode : {};
+  const domains = Array.from(
+    new Set((Array.isArray(source.domains) ? source.domains : []).map((domain) => normalizeDomain(String(domain ?? ""))))
+  ).filter(Boolean);
+
+  const mode = { enabled: source.enabled === true, domains };
+  const expiresAt = normalizeExpiry(source.expiresAt);
+  if (mode.enabled && expiresAt) {
+    mode.expiresAt = expiresAt;
+  }
+
+  return mode;
+}
+
+export function isAllowlistModeActive(mode, nowMs = Date.now()) {
+  return Boolean(mode?.enabled) && isEntryActive(mode, nowMs);
+}
+
 function normalizeProtectedRule(rawValue) {
   return rawValue === true || rawValue === "true" || rawValue === 1 || rawValue === "1";
 }
 
 function normalizeEntryAction(rawAction) {
-  return rawAction === ENTRY_ACTIONS.HIDE_ELEMENTS ? ENTRY_ACTIONS.HIDE_ELEMENTS : ENTRY_ACTIONS.BLOCK;
+  return Object.values(ENTRY_ACTIONS).includes(rawAction) ? rawAction : ENTRY_ACTIONS.BLOCK;
+}
+
+/**
+ * Absolute http(s) URL a redirect entry sends page loads to, or "".
+ */
+export function normalizeRedirectUrl(rawUrl) {
+  try {
+    const url = new URL(String(rawUrl ?? "").trim());
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Why `redirectUrl` cannot be the entry's redirect target, or "". A target the entry
+ * matches itself would redirect forever.
+ */
+export function getRedirectTargetError(entry, redirectUrl) {
+  const targetUrl = normalizeRedirectUrl(redirectUrl);
+  if (!targetUrl) {
+    return "Enter an http(s) URL to redirect to, e.g. https://example.com/reading-list";
+  }
+
+  if (entryMatchesUrl(entry, targetUrl)) {
+    return "A rule cannot redirect to a page it matches itself.";
+  }
+
+  return "";
+}
+
+/**
+ * A rule's own block-page message, trimmed to one short line.
+ */
+export function normalizeBlockMessage(rawMessage) {
+  return String(rawMessage ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_BLOCK_MESSAGE_LENGTH);
 }
 
 function normalizeSelectors(rawSelectors) {
@@ -299,6 +1267,29 @@ function escapeRegexExceptStar(value) {
   return value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
 }
 
+/**
+ * Trim a keyword and reject what urlFilter cannot express literally: its operators
+ * (*, |, ^), non-ASCII characters and very short strings that would match everything.
+ * Case-insensitive keywords are stored lowercase so "Casino" and "casino" are one entry.
+ */
+export function normalizeKeyword(rawKeyword, caseSensitive = false) {
+  const keyword = String(rawKeyword ?? "").trim();
+  if (keyword.length < MIN_KEYWORD_LENGTH || /[*|^\s]/.test(keyword) || !/^[\x21-\x7e]+$/.test(keyword)) {
+    return "";
+  }
+
+  return caseSensitive ? keyword : keyword.toLowerCase();
+}
+
+export function isValidJsRegex(value) {
+  try {
+    new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Loose domain sanitizer for human-friendly input.
  * Accepts values like "https://example.com/path" or "example.com".
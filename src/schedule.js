@@ -0,0 +1,293 @@
+/**
+ * Recurring weekly schedules ("Mon-Fri 09:00-12:30, 13:30-17:30").
+ *
+ * Normalized shape stored on entries:
+ * { days: [1, 2, 3, 4, 5], windows: [{ start: "09:00", end: "12:30" }] }
+ * Days follow Date#getDay (0 = Sunday). A window whose end is not after its
+ * start runs past midnight into the next day.
+ */
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_ALIASES = {
+  daily: ALL_DAYS,
+  everyday: ALL_DAYS,
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const MAX_SCHEDULE_WINDOWS = 8;
+
+/**
+ * Parse human-friendly schedule text. Days are optional (defaults to daily).
+ * Examples: "Mon-Fri 09:00-12:30, 13:30-17:30", "Sat,Sun 10:00-18:00".
+ */
+export function parseScheduleText(text) {
+  const source = String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[–—]/g, "-");
+  if (!source) {
+    return null;
+  }
+
+  const firstTimeIndex = source.search(/\d{1,2}:\d{2}/);
+  if (firstTimeIndex < 0) {
+    return null;
+  }
+
+  const days = parseDayList(source.slice(0, firstTimeIndex));
+  const windows = parseWindowList(source.slice(firstTimeIndex));
+  if (!days || !windows) {
+    return null;
+  }
+
+  return normalizeSchedule({ days, windows });
+}
+
+/**
+ * Accept either schedule text or a stored schedule object; return null when invalid.
+ */
+export function normalizeSchedule(rawSchedule) {
+  if (rawSchedule == null || rawSchedule === "") {
+    return null;
+  }
+
+  if (typeof rawSchedule === "string") {
+    return parseScheduleText(rawSchedule);
+  }
+
+  if (typeof rawSchedule !== "object" || !Array.isArray(rawSchedule.days)) {
+    return null;
+  }
+
+  const days = Array.from(
+    new Set(rawSchedule.days.map(Number).filter((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+  ).sort((a, b) => a - b);
+
+  const windows = (Array.isArray(rawSchedule.windows) ? rawSchedule.windows : [])
+    .map((window) => normalizeWindow(window?.start, window?.end))
+    .filter(Boolean)
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start))
+    .slice(0, MAX_SCHEDULE_WINDOWS);
+
+  if (days.length === 0 || windows.length === 0) {
+    return null;
+  }
+
+  return { days, windows };
+}
+
+/**
+ * Render a schedule back into the same text format the parser accepts.
+ */
+export function formatSchedule(schedule) {
+  if (!schedule) {
+    return "";
+  }
+
+  const windows = schedule.windows.map((window) => `${window.start}-${window.end}`).join(", ");
+  return `${formatDays(schedule.days)} ${windows}`;
+}
+
+/**
+ * Entries without a schedule are always in their active window.
+ */
+export function isScheduleActive(schedule, nowMs = Date.now()) {
+  if (!schedule) {
+    return true;
+  }
+
+  // Yesterday is included so overnight windows are still honoured after midnight.
+  return listWindowIntervals(schedule, nowMs, -1, 0).some(
+    (interval) => interval.start <= nowMs && nowMs < interval.end
+  );
+}
+
+/**
+ * Next timestamp where the schedule flips between active and inactive, or null.
+ */
+export function getNextScheduleTransition(schedule, nowMs = Date.now()) {
+  if (!schedule) {
+    return null;
+  }
+
+  const boundaries = listWindowIntervals(schedule, nowMs, -1, 7)
+    .flatMap((interval) => [interval.start, interval.end])
+    .filter((timestamp) => timestamp > nowMs);
+
+  return boundaries.length > 0 ? Math.min(...boundaries) : null;
+}
+
+function listWindowIntervals(schedule, nowMs, firstDayOffset, lastDayOffset) {
+  const now = new Date(nowMs);
+  const intervals = [];
+
+  for (let offset = firstDayOffset; offset <= lastDayOffset; offset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    if (!schedule.days.includes(day.getDay())) {
+      continue;
+    }
+
+    schedule.windows.forEach((window) => {
+      const startMinutes = toMinutes(window.start);
+      const endMinutes = toMinutes(window.end);
+      const endDayOffset = endMinutes <= startMinutes ? 1 : 0;
+
+      // Building from local date parts keeps windows aligned across DST changes.
+      intervals.push({
+        start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes).getTime(),
+        end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + endDayOffset, 0, endMinutes).getTime()
+      });
+    });
+  }
+
+  return intervals;
+}
+
+function parseDayList(text) {
+  const tokens = text
+    .replace(/\s*-\s*/g, "-")
+    .split(/[\s,]+/)
+    .map((token) => token.trim())
+    .filter((token) => token && token !== "and");
+
+  if (tokens.length === 0) {
+    return ALL_DAYS;
+  }
+
+  const days = new Set();
+  for (const token of tokens) {
+    if (token in DAY_ALIASES) {
+      DAY_ALIASES[token].forEach((day) => days.add(day));
+      continue;
+    }
+
+    const [from, to] = token.split("-");
+    const fromDay = parseDayName(from);
+    if (fromDay < 0) {
+      return null;
+    }
+
+    if (to === undefined) {
+      days.add(fromDay);
+      continue;
+    }
+
+    const toDay = parseDayName(to);
+    if (toDay < 0) {
+      return null;
+    }
+
+    // Ranges may wrap around the week, e.g. "Fri-Mon".
+    for (let day = fromDay; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === toDay) {
+        break;
+      }
+    }
+  }
+
+  return Array.from(days);
+}
+
+function parseDayName(token) {
+  const name = String(token ?? "");
+  if (name.length < 3) {
+    return -1;
+  }
+  return DAY_NAMES.indexOf(name.slice(0, 3));
+}
+
+function parseWindowList(text) {
+  const parts = text
+    .split(/,|;|\band\b/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  const windows = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    const window = match ? normalizeWindow(match[1], match[2]) : null;
+    if (!window) {
+      return null;
+    }
+    windows.push(window);
+  }
+
+  return windows.length > 0 ? windows : null;
+}
+
+function normalizeWindow(rawStart, rawEnd) {
+  const start = normalizeTime(rawStart);
+  const end = normalizeTime(rawEnd);
+  if (!start || !end || start === end || toMinutes(start) >= 24 * 60) {
+    return null;
+  }
+  return { start, end };
+}
+
+function normalizeTime(rawTime) {
+  const match = String(rawTime ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return "";
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+    return "";
+  }
+
+  return `${String(hours).padStart(2, "0")}:${match[2]}`;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatDays(days) {
+  if (days.length === 7) {
+    return "Daily";
+  }
+
+  // Collapse consecutive runs of 3+ days into ranges ("Mon-Fri").
+  const groups = [];
+  let runStart = days[0];
+  let previous = days[0];
+
+  for (const day of [...days.slice(1), null]) {
+    if (day !== null && day === previous + 1) {
+      previous = day;
+      continue;
+    }
+
+    if (previous - runStart >= 2) {
+      groups.push(`${DAY_LABELS[runStart]}-${DAY_LABELS[previous]}`);
+    } else {
+      for (let item = runStart; item <= previous; item += 1) {
+        groups.push(DAY_LABELS[item]);
+      }
+    }
+
+    runStart = day;
+    previous = day;
+  }
+
+  return groups.join(",");
+}
+
+/**
+ * Short local label for a transition time, e.g. "12:30" today or "Mon 09:00" later.
+ */
+export function formatTransitionTime(timestamp, nowMs = Date.now()) {
+  const date = new Date(timestamp);
+  const time = `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+  const now = new Date(nowMs);
+  const isSameDay =
+    date.getFullYear() === now.getFullYear() &&
+    date.getMonth() === now.getMonth() &&
+    date.getDate() === now.getDate();
+
+  return isSameDay ? time : `${DAY_LABELS[date.getDay()]} ${time}`;
+}
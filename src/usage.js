@@ -0,0 +1,127 @@
+/**
+ * Daily usage accounting for budgeted and visit-limited rules.
+ *
+ * Stored shape:
+ * { day: "2026-10-19", foregroundMs: { "domain:reddit.com": 120000 }, visits: { "domain:news.ycombinator.com": 2 } }
+ * A "day" starts at the configurable local reset time, not necessarily midnight.
+ */
+export const DEFAULT_DAILY_RESET_TIME = "00:00";
+export const MAX_DAILY_BUDGET_MINUTES = 24 * 60;
+export const MAX_DAILY_VISIT_LIMIT = 1_000;
+
+export function normalizeResetTime(rawTime) {
+  const match = String(rawTime ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return DEFAULT_DAILY_RESET_TIME;
+  }
+
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+/**
+ * Local calendar date of the usage day containing nowMs.
+ */
+export function getUsageDayKey(nowMs = Date.now(), resetTime = DEFAULT_DAILY_RESET_TIME) {
+  const now = new Date(nowMs);
+  const dayStart = getResetOnDay(now, 0, resetTime);
+  const day = nowMs >= dayStart ? now : new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, "0"),
+    String(day.getDate()).padStart(2, "0")
+  ].join("-");
+}
+
+export function getNextDailyReset(nowMs = Date.now(), resetTime = DEFAULT_DAILY_RESET_TIME) {
+  const now = new Date(nowMs);
+  const todayReset = getResetOnDay(now, 0, resetTime);
+  return todayReset > nowMs ? todayReset : getResetOnDay(now, 1, resetTime);
+}
+
+function getResetOnDay(date, dayOffset, resetTime) {
+  const [hours, minutes] = normalizeResetTime(resetTime).split(":").map(Number);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset, hours, minutes).getTime();
+}
+
+/**
+ * Usage from a previous day is discarded, which is what resets budgets and visit counts.
+ */
+export function normalizeDailyUsage(rawUsage, dayKey) {
+  const source = rawUsage && typeof rawUsage === "object" && rawUsage.day === dayKey ? rawUsage : {};
+  return {
+    day: dayKey,
+    foregroundMs: sanitizeCounters(source.foregroundMs),
+    visits: sanitizeCounters(source.visits)
+  };
+}
+
+function sanitizeCounters(rawCounters) {
+  if (!rawCounters || typeof rawCounters !== "object" || Array.isArray(rawCounters)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(rawCounters).filter(([, value]) => Number.isFinite(value) && value > 0)
+  );
+}
+
+export function normalizeDailyBudget(rawMinutes) {
+  return normalizePositiveInteger(rawMinutes, MAX_DAILY_BUDGET_MINUTES);
+}
+
+export function normalizeDailyVisitLimit(rawLimit) {
+  return normalizePositiveInteger(rawLimit, MAX_DAILY_VISIT_LIMIT);
+}
+
+function normalizePositiveInteger(rawValue, maxValue) {
+  const value = Number(rawValue);
+  if (!Number.isInteger(value) || value <= 0) {
+    return null;
+  }
+  return Math.min(value, maxValue);
+}
+
+/**
+ * Remaining foreground time today, or null when the entry has no budget.
+ */
+export function getBudgetRemainingMs(entry, usage, entryKey) {
+  if (!entry.dailyBudgetMinutes) {
+    return null;
+  }
+
+  const usedMs = usage?.foregroundMs?.[entryKey] ?? 0;
+  return Math.max(0, entry.dailyBudgetMinutes * 60 * 1000 - usedMs);
+}
+
+/**
+ * Visits left today, or null when the entry has no visit limit.
+ */
+export function getVisitsRemaining(entry, usage, entryKey) {
+  if (!entry.dailyVisitLimit) {
+    return null;
+  }
+
+  return Math.max(0, entry.dailyVisitLimit - (usage?.visits?.[entryKey] ?? 0));
+}
+
+/**
+ * Whether a committed navigation counts as a visit. Reloads and back/forward moves
+ * return to a page already counted.
+ */
+export function isNewVisit({ transitionType, transitionQualifiers = [] }) {
+  return transitionType !== "reload" && !transitionQualifiers.includes("forward_back");
+}
+
+/**
+ * Entries with a daily budget or visit limit only block once that allowance is spent.
+ */
+export function hasDailyAllowance(entry) {
+  return Boolean(entry.dailyBudgetMinutes || entry.dailyVisitLimit);
+}
+
+export function isDailyAllowanceSpent(entry, usage, entryKey) {
+  return (
+    getBudgetRemainingMs(entry, usage, entryKey) === 0 || getVisitsRemaining(entry, usage, entryKey) === 0
+  );
+}
@@ -74,6 +74,19 @@ async function openPopup(context, extensionId) {
 async function addRule(popup, type, value, options = {}) {
   await popup.selectOption("#entry-type", type);
   await popup.fill("#entry-value", value);
+  await popup.selectOption("#entry-action", options.action ?? "block");
+  if (options.interstitialSeconds != null) {
+    await popup.fill("#interstitial-seconds", String(options.interstitialSeconds));
+  }
+  if (options.redirectUrl != null) {
+    await popup.fill("#redirect-url", options.redirectUrl);
+  }
+  await popup.fill("#entry-group", options.group ?? "");
+  await popup.fill("#entry-block-message", options.blockMessage ?? "");
+
+  if (type === "keyword") {
+    await popup.locator("#keyword-case-sensitive").setChecked(options.caseSensitive === true);
+  }
 
   const shouldProtect = options.requiresMasterPin === true;
   const checkbox = popup.locator("#requires-master-pin");
@@ -94,6 +107,59 @@ async function addRule(popup, type, value, options = {}) {
     }
   }
 
+  const shouldUseSchedule = typeof options.schedule === "string";
+  const scheduleCheckbox = popup.locator("#use-schedule");
+  if ((await scheduleCheckbox.isChecked()) !== shouldUseSchedule) {
+    await scheduleCheckbox.click();
+  }
+
+  if (shouldUseSchedule) {
+    await popup.fill("#entry-schedule", options.schedule);
+  }
+
+  const shouldUseBudget = Number.isInteger(options.dailyBudgetMinutes);
+  const budgetCheckbox = popup.locator("#use-daily-budget");
+  if ((await budgetCheckbox.isChecked()) !== shouldUseBudget) {
+    await budgetCheckbox.click();
+  }
+
+  if (shouldUseBudget) {
+    await popup.fill("#daily-budget-minutes", String(options.dailyBudgetMinutes));
+  }
+
+  const shouldUseVisitLimit = Number.isInteger(options.dailyVisitLimit);
+  const visitLimitCheckbox = popup.locator("#use-visit-limit");
+  if ((await visitLimitCheckbox.isChecked()) !== shouldUseVisitLimit) {
+    await visitLimitCheckbox.click();
+  }
+
+  if (shouldUseVisitLimit) {
+    await popup.fill("#daily-visit-limit", String(options.dailyVisitLimit));
+  }
+
+  const shouldChallenge = typeof options.unblockChallenge === "string";
+  const challengeCheckbox = popup.locator("#use-unblock-challenge");
+  if ((await challengeCheckbox.isChecked()) !== shouldChallenge) {
+    await challengeCheckbox.click();
+  }
+
+  if (shouldChallenge) {
+    await popup.selectOption("#unblock-challenge-type", options.unblockChallenge);
+    if (options.countdownSeconds != null) {
+      await popup.fill("#unblock-countdown-seconds", String(options.countdownSeconds));
+    }
+  }
+
+  const shouldLock = typeof options.lockedUntil === "string";
+  const lockCheckbox = popup.locator("#use-commitment-lock");
+  if ((await lockCheckbox.isChecked()) !== shouldLock) {
+    await lockCheckbox.click();
+  }
+
+  if (shouldLock) {
+    await popup.fill("#locked-until", options.lockedUntil);
+  }
+
   const shouldUseAdvanced = Array.isArray(options.advancedSelectors) && options.advancedSelectors.length > 0;
   const advancedCheckbox = popup.locator("#use-advanced-options");
   if ((await advancedCheckbox.isChecked()) !== shouldUseAdvanced) {
@@ -160,6 +226,18 @@ async function waitForRuleCount(popup, expectedCount, timeout = 5_000) {
     .toBe(expectedCount);
 }
 
+// A lower waiting time only applies once the current one (30 seconds by default) has passed.
+async function lowerPauseDelay(popup, seconds) {
+  const response = await popup.evaluate(
+    (value) => chrome.runtime.sendMessage({ type: "pause/delay", seconds: value }),
+    seconds
+  );
+  expect(response).toMatchObject({ ok: true, status: "scheduled" });
+  const getPauseDelaySeconds = () =>
+    popup.evaluate(async () => (await chrome.storage.local.get("pauseDelaySeconds")).pauseDelaySeconds);
+  await expect.poll(getPauseDelaySeconds, { timeout: 45_000 }).toBe(seconds);
+}
+
 async function waitForLogHit(popup, entryKey, expectedSite) {
   await expect
     .poll(async () => {
@@ -180,7 +258,7 @@ async function waitForLogHit(popup, entryKey, expectedSite) {
 
 async function expectBlocked(page, url) {
   await page.goto(url, { waitUntil: "domcontentloaded" });
-  await expect(page).toHaveURL(/\/blocked\.html$/);
+  await expect(page).toHaveURL(/\/blocked\.html(\?[^#]*)?(#.*)?$/);
   await expect(page.locator("h1")).toContainText("That site can wait.");
 }
 
@@ -281,13 +359,24 @@ test("shows error when protected rule is added without master pin", async () =>
   }
 });
 
-test("protected rule requires PIN and supports emergency override", async () => {
+test("protected rule requires PIN and accepts each recovery code once", async () => {
   const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-protected-remove-"));
   const { context, extensionId } = await launchWithExtension(userDataDir);
 
   try {
     const popup = await openPopup(context, extensionId);
     await setMasterPin(popup, "123456");
+    const recoveryCodes = await popup.locator("#recovery-codes li").allTextContents();
+    expect(recoveryCodes).toHaveLength(8);
+    expect(recoveryCodes[0]).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{6}$/);
+
+    const stored = await popup.evaluate(() =>
+      chrome.storage.local.get(["masterPinHash", "recoveryCodeHashes"])
+    );
+    expect(stored.masterPinHash).toMatchObject({ algorithm: "PBKDF2-SHA256", iterations: 600000 });
+    expect(stored.recoveryCodeHashes).toHaveLength(8);
+    expect(stored.recoveryCodeHashes).not.toContain(recoveryCodes[0]);
+
     await addRule(popup, "domain", "localhost", { requiresMasterPin: true });
     await waitForRuleCount(popup, 2);
 
@@ -300,37 +389,102 @@ test("protected rule requires PIN and supports emergency override", async () =>
     await expect(popup.locator("#pin-modal-message")).toContainText("Incorrect PIN");
     await waitForRuleCount(popup, 2);
 
-    await fillOtp(popup, "remove", "456789");
+    await popup.fill("#remove-recovery-code", recoveryCodes[0].toLowerCase());
     await popup.click("#pin-confirm");
     await waitForRuleCount(popup, 0);
+
+    const reuse = await popup.evaluate(
+      (code) => chrome.runtime.sendMessage({ type: "pin/verify", recoveryCode: code }),
+      recoveryCodes[0]
+    );
+    expect(reuse).toMatchObject({ ok: true, valid: false });
   } finally {
     await context.close();
     await rm(userDataDir, { recursive: true, force: true });
   }
 });
 
-test("master PIN can be reset without entering previous PIN", async () => {
-  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-master-pin-reset-"));
+test("repeated wrong PINs lock out further attempts", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-pin-lockout-"));
   const { context, extensionId } = await launchWithExtension(userDataDir);
 
   try {
     const popup = await openPopup(context, extensionId);
     await setMasterPin(popup, "123456");
-    await setMasterPin(popup, "654321");
 
-    await addRule(popup, "domain", "localhost", { requiresMasterPin: true });
-    await waitForRuleCount(popup, 2);
-    await expandRuleByValue(popup, "localhost");
-    await popup.click(".entry-item__remove");
+    const responses = await popup.evaluate(async () => {
+      const results = [];
+      for (const pin of ["000000", "000001", "000002", "000003", "000004", "123456"]) {
+        results.push(await chrome.runtime.sendMessage({ type: "pin/verify", pin }));
+      }
+      return results;
+    });
+    expect(responses[3].error).toBe("Incorrect PIN or recovery code.");
+    expect(responses[4].error).toBe("Incorrect PIN or recovery code. Locked for 30s.");
+    expect(responses[5]).toMatchObject({
+      valid: false,
+      error: expect.stringContaining("Too many wrong attempts")
+    });
+
+    const attempts = await popup.evaluate(async () => {
+      const storage = await chrome.storage.local.get("pinAttempts");
+      return storage.pinAttempts;
+    });
+    expect(attempts.failures).toBe(5);
+    expect(Date.parse(attempts.lockedUntil)).toBeGreaterThan(Date.now());
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("changing the master PIN or weakening a protected rule requires the current PIN", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-master-pin-change-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+
+    await popup.click("#settings-toggle");
+    await fillOtp(popup, "new", "654321");
+    await popup.click("#save-master-pin");
     await expect(popup.locator("#pin-modal")).toBeVisible();
+    await expect(popup.locator("#pin-modal-text")).toContainText("current PIN");
 
-    await fillOtp(popup, "remove", "123456");
+    await fillOtp(popup, "remove", "000000");
     await popup.click("#pin-confirm");
     await expect(popup.locator("#pin-modal-message")).toContainText("Incorrect PIN");
-    await waitForRuleCount(popup, 2);
 
-    await fillOtp(popup, "remove", "654321");
+    await fillOtp(popup, "remove", "123456");
     await popup.click("#pin-confirm");
+    await expect(popup.locator("#pin-modal")).toBeHidden();
+    await expect(popup.locator("#settings-message")).toContainText("Master PIN saved.");
+    await popup.click("#settings-close");
+
+    await addRule(popup, "domain", "localhost", { requiresMasterPin: true });
+    await waitForRuleCount(popup, 2);
+
+    const results = await popup.evaluate(async () => {
+      const send = (message) => chrome.runtime.sendMessage(message);
+      const protectedEntry = { type: "domain", value: "localhost", action: "block", requiresMasterPin: true };
+      const update = (entry, pin) =>
+        send({ type: "entries/update", entryKey: "domain:localhost", entry, pin });
+      return {
+        setWithoutPin: await send({ type: "pin/set", pin: "111111" }),
+        unprotect: await update({ ...protectedEntry, requiresMasterPin: false }),
+        shorten: await update({ ...protectedEntry, expiresAt: "2099-01-01T00:00:00.000Z" }),
+        hide: await update({ ...protectedEntry, action: "hide-elements", selectors: ["body"] }),
+        oldPin: await update({ ...protectedEntry, action: "hide-elements", selectors: ["body"] }, "123456"),
+        newPin: await update({ ...protectedEntry, action: "hide-elements", selectors: ["body"] }, "654321")
+      };
+    });
+    expect(results.setWithoutPin).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.unprotect).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.shorten).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.hide).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.oldPin).toMatchObject({ ok: false, error: expect.stringContaining("Incorrect PIN") });
+    expect(results.newPin).toMatchObject({ ok: true, status: "updated" });
     await waitForRuleCount(popup, 0);
   } finally {
     await context.close();
@@ -517,3 +671,1330 @@ test("advanced mode hides selected elements without blocking the page", async ()
     await rm(userDataDir, { recursive: true, force: true });
   }
 });
+
+test("scheduled rule only blocks inside its weekly window", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-schedule-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { schedule: "Daily 00:00-24:00" });
+    await waitForRuleCount(popup, 2);
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/schedule-active`);
+
+    // A window starting two hours from now is guaranteed to be inactive right now.
+    const hour = new Date().getHours();
+    const pad = (value) => String(value % 24).padStart(2, "0");
+    await addRule(popup, "domain", "localhost", {
+      schedule: `Daily ${pad(hour + 2)}:00-${pad(hour + 3)}:00`
+    });
+    await waitForRuleCount(popup, 0);
+
+    const storedEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(storedEntry?.schedule?.days).toEqual([0, 1, 2, 3, 4, 5, 6]);
+
+    await expect(popup.locator(".entry-chip__badge--sched-off")).toContainText("Off");
+
+    const response = await page.goto(`http://localhost:${serverPort}/schedule-inactive`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("shows validation error for invalid schedule", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-schedule-invalid-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { schedule: "someday 9am" });
+
+    await expect(popup.locator("#message")).toContainText("Enter a schedule like");
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("allow exception punches a hole in a block rule", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-allow-exception-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost");
+    await addRule(popup, "pattern", "*://localhost/allowed*", { action: "allow" });
+    await waitForRuleCount(popup, 4);
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/allowed-path`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+    await expect(page.locator("h1")).toContainText("ok:/allowed-path");
+
+    await expectBlocked(page, `http://localhost:${serverPort}/still-blocked`);
+
+    await expandRuleByValue(popup, "*://localhost/allowed*");
+    await expect(popup.locator("#entry-details")).toContainText("Overrides: localhost");
+
+    // Allowing the blocked domain itself would share its key; it is refused, not merged.
+    await addRule(popup, "domain", "localhost/docs", { action: "allow" });
+    await expect(popup.locator("#message")).toContainText("A rule for localhost already exists.");
+    const blockEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(blockEntry.action).toBe("block");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("allowlist mode blocks everything except allowed domains", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-allowlist-mode-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await popup.click("#settings-toggle");
+    await popup.fill("#allowlist-domains", "localhost");
+    await popup.click("#allowlist-start");
+    await expect(popup.locator("#allowlist-message")).toContainText("Allowlist mode started.");
+    await waitForRuleCount(popup, 2);
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/allowlisted`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/not-allowlisted`);
+
+    await popup.click("#allowlist-stop");
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("timed allowlist mode turns itself off", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-allowlist-expiry-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await popup.evaluate(async () => {
+      await chrome.storage.local.set({
+        allowlistMode: {
+          enabled: true,
+          domains: ["localhost"],
+          expiresAt: new Date(Date.now() + 3_000).toISOString()
+        }
+      });
+    });
+    await waitForRuleCount(popup, 2);
+    await waitForRuleCount(popup, 0, 20_000);
+
+    const storedMode = await popup.evaluate(async () => {
+      const storage = await chrome.storage.local.get("allowlistMode");
+      return storage.allowlistMode;
+    });
+    expect(storedMode).toEqual({ enabled: false, domains: ["localhost"] });
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("budgeted rule only blocks once today's budget is used up", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-budget-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { dailyBudgetMinutes: 20 });
+    await waitForRuleCount(popup, 0);
+
+    const storedEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(storedEntry?.dailyBudgetMinutes).toBe(20);
+    await expect(popup.locator(".entry-chip__badge--budget")).toContainText("left");
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/budget-open`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    // Simulate a day's worth of foreground time instead of waiting 20 minutes.
+    await popup.evaluate(async () => {
+      const { getUsageDayKey } = await import("./src/usage.js");
+      await chrome.storage.local.set({
+        dailyUsage: {
+          day: getUsageDayKey(Date.now(), "00:00"),
+          foregroundMs: { "domain:localhost": 20 * 60 * 1000 }
+        }
+      });
+    });
+
+    // Saving the reset time forces a rule sync with the new usage.
+    await popup.click("#settings-toggle");
+    await popup.fill("#daily-reset-time", "00:00");
+    await popup.click("#save-reset-time");
+    await expect(popup.locator("#reset-time-message")).toContainText("Daily reset time saved.");
+
+    await waitForRuleCount(popup, 2);
+    await expect(popup.locator(".entry-chip__badge--budget-spent")).toContainText("Used up");
+    await expectBlocked(page, `http://localhost:${serverPort}/budget-spent`);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("visit-limited domain blocks after the allowed number of page loads", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-visits-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { dailyVisitLimit: 1 });
+    await waitForRuleCount(popup, 0);
+
+    const storedEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(storedEntry?.dailyVisitLimit).toBe(1);
+    await expect(popup.locator(".entry-chip__badge--budget")).toContainText("1/1 visits");
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/visit-one`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    await waitForRuleCount(popup, 2);
+    await expect(popup.locator(".entry-chip__badge--budget-spent")).toContainText("Limit hit");
+
+    await page.goto(`http://localhost:${serverPort}/visit-two`, { waitUntil: "domcontentloaded" });
+    await expect(page).toHaveURL(/\/blocked\.html\?reason=visit-limit&limit=1#http:/);
+    await expect(page.locator("#fun-message")).toContainText("Daily limit of 1 visit reached");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("reloads and back/forward navigations do not count as new visits", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-visit-reloads-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { dailyVisitLimit: 3 });
+    await waitForRuleCount(popup, 0);
+
+    const getVisitCount = () =>
+      popup.evaluate(async () => {
+        const storage = await chrome.storage.local.get("dailyUsage");
+        return storage.dailyUsage?.visits?.["domain:localhost"] ?? 0;
+      });
+
+    const page = await context.newPage();
+    await page.goto(`http://localhost:${serverPort}/visit-one`, { waitUntil: "domcontentloaded" });
+    await expect.poll(getVisitCount).toBe(1);
+    await page.reload({ waitUntil: "domcontentloaded" });
+
+    await page.goto(`http://localhost:${serverPort}/visit-two`, { waitUntil: "domcontentloaded" });
+    await expect.poll(getVisitCount).toBe(2);
+    await page.goBack({ waitUntil: "domcontentloaded" });
+    await page.goForward({ waitUntil: "domcontentloaded" });
+    await expect(page.locator("h1")).toHaveText("ok:/visit-two");
+
+    // Visits are counted in order, so a third real visit makes exactly three.
+    await page.goto(`http://localhost:${serverPort}/visit-three`, { waitUntil: "domcontentloaded" });
+    await expect(page.locator("h1")).toHaveText("ok:/visit-three");
+    await expect.poll(getVisitCount).toBe(3);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("focus session enforces rules during work and relaxes unprotected ones on breaks", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-focus-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    // Outside its schedule the rule is dormant; a work phase enforces it anyway.
+    const hour = new Date().getHours();
+    const pad = (value) => String(value % 24).padStart(2, "0");
+    await addRule(popup, "domain", "localhost", {
+      schedule: `Daily ${pad(hour + 2)}:00-${pad(hour + 3)}:00`
+    });
+    await waitForRuleCount(popup, 0);
+    await addRule(popup, "domain", "127.0.0.1", { unblockChallenge: "typing" });
+    await waitForRuleCount(popup, 2);
+
+    await popup.locator("#focus-entries input[value='domain:localhost']").check();
+    await popup.locator("#focus-entries input[value='domain:127.0.0.1']").check();
+    await popup.click("#focus-start");
+    await expect(popup.locator("#focus-message")).toContainText("Focus session started.");
+    await expect(popup.locator("#focus-status")).toContainText("Work 1/4");
+    await waitForRuleCount(popup, 2);
+    await expect.poll(() => popup.evaluate(() => chrome.action.getBadgeText({}))).toBe("W25");
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/focus-work`);
+
+    await popup.click("#focus-skip");
+    await expect(popup.locator("#focus-status")).toContainText("Break 1/4");
+    const getDynamicRulesJson = () =>
+      popup.evaluate(async () => JSON.stringify(await chrome.declarativeNetRequest.getDynamicRules()));
+    await expect.poll(getDynamicRulesJson).not.toContain("localhost");
+    await expect.poll(() => popup.evaluate(() => chrome.action.getBadgeText({}))).toBe("B5");
+
+    const response = await page.goto(`http://localhost:${serverPort}/focus-break`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    // A break is not a way around the challenge.
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/focus-break`);
+
+    await popup.click("#focus-stop");
+    await expect(popup.locator("#focus-status")).toContainText("Not running");
+    await expect.poll(() => popup.evaluate(() => chrome.action.getBadgeText({}))).toBe("");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("turning a group off stops compiling its rules", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-groups-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { group: "Work" });
+    await addRule(popup, "pattern", "*://127.0.0.1/*", { group: "work" });
+    await waitForRuleCount(popup, 4);
+
+    const storedEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(storedEntry?.group).toBe("Work");
+
+    const groupChip = popup.locator("[data-role='toggle-group']");
+    await expect(groupChip).toHaveCount(1);
+    await expect(groupChip).toContainText("Work (2)");
+
+    await groupChip.click();
+    await expect(popup.locator("#group-message")).toContainText("Work turned off.");
+    await waitForRuleCount(popup, 0);
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/group-off`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    await popup.selectOption("#group-duration", "1h");
+    await groupChip.click();
+    await expect(popup.locator("#group-message")).toContainText("Work turned on.");
+    await expect(groupChip).toContainText("On ·");
+    await waitForRuleCount(popup, 4);
+    await expectBlocked(page, `http://localhost:${serverPort}/group-on`);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("switching off a group with a protected rule requires the master PIN", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-groups-pin-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+    await addRule(popup, "domain", "localhost", { group: "Work", requiresMasterPin: true });
+    await waitForRuleCount(popup, 2);
+
+    // Writing the group state directly is undone.
+    await popup.evaluate(() => chrome.storage.local.set({ ruleGroups: [{ name: "Work", enabled: false }] }));
+    await expect
+      .poll(() => popup.evaluate(async () => (await chrome.storage.local.get("ruleGroups")).ruleGroups))
+      .toEqual([]);
+    await waitForRuleCount(popup, 2);
+
+    const groupChip = popup.locator("[data-role='toggle-group']");
+    await groupChip.click();
+    await expect(popup.locator("#pin-modal-title")).toHaveText("PIN Required");
+    await fillOtp(popup, "remove", "000000");
+    await popup.click("#pin-confirm");
+    await expect(popup.locator("#pin-modal-message")).toContainText("Incorrect PIN");
+    await waitForRuleCount(popup, 2);
+
+    await fillOtp(popup, "remove", "123456");
+    await popup.click("#pin-confirm");
+    await expect(popup.locator("#pin-modal")).toBeHidden();
+    await expect(popup.locator("#group-message")).toContainText("Work turned off.");
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("pause lifts unprotected rules after its countdown and resumes", async () => {
+  test.setTimeout(120_000);
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-pause-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    let popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+    await addRule(popup, "domain", "localhost");
+    await addRule(popup, "pattern", "*://127.0.0.1/*", { requiresMasterPin: true });
+    await waitForRuleCount(popup, 4);
+
+    // Keep the countdown short; the default 30 second wait is covered by the countdown text.
+    await lowerPauseDelay(popup, 4);
+
+    // A shorter waiting time written straight to storage is undone.
+    await popup.evaluate(() => chrome.storage.local.set({ pauseDelaySeconds: 0 }));
+    await expect
+      .poll(() =>
+        popup.evaluate(async () => {
+          const { pauseDelaySeconds, tamperLog = [] } = await chrome.storage.local.get([
+            "pauseDelaySeconds",
+            "tamperLog"
+          ]);
+          return [pauseDelaySeconds, ...tamperLog.map(({ entryKey, reason }) => `${entryKey} ${reason}`)];
+        })
+      )
+      .toEqual([4, "pauseDelaySeconds shortened"]);
+
+    await popup.click("#settings-toggle");
+    await popup.selectOption("#pause-minutes", "5");
+    await popup.click("#pause-start");
+    await expect(popup.locator("#pause-status")).toContainText("Pause starts in");
+    await waitForRuleCount(popup, 4, 1_000);
+
+    // The background runs the countdown, so closing the popup does not drop the pause.
+    await popup.close();
+    popup = await openPopup(context, extensionId);
+    await popup.click("#settings-toggle");
+    await expect(popup.locator("#pause-status")).toContainText("Pause starts in");
+    await expect(popup.locator("#pause-message")).toContainText("Blocking paused for 5 minutes.", {
+      timeout: 10_000
+    });
+    await expect(popup.locator("#pause-banner")).toContainText("Blocking paused for unprotected rules");
+    await waitForRuleCount(popup, 2);
+
+    const page = await context.newPage();
+    const response = await page.goto(`http://localhost:${serverPort}/paused`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/still-protected`);
+
+    await popup.click("#pause-resume");
+    await expect(popup.locator("#pause-banner")).toBeHidden();
+    await waitForRuleCount(popup, 4);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("cancelling a pause keeps a pending waiting-time change", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-pause-cancel-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    const send = (message) => popup.evaluate((payload) => chrome.runtime.sendMessage(payload), message);
+    const getPauseStorage = () =>
+      popup.evaluate(() => chrome.storage.local.get(["pauseState", "pauseDelayChange"]));
+
+    expect(await send({ type: "pause/delay", seconds: 5 })).toMatchObject({ ok: true, status: "scheduled" });
+    expect(await send({ type: "pause/start", minutes: 5 })).toMatchObject({ ok: true });
+
+    expect(await send({ type: "pause/cancel" })).toEqual({ ok: true, status: "cancelled" });
+    let storage = await getPauseStorage();
+    expect(storage.pauseState).toBeNull();
+    expect(storage.pauseDelayChange).toMatchObject({ seconds: 5 });
+
+    expect(await send({ type: "pause/cancel" })).toEqual({ ok: true, status: "delay-cancelled" });
+    storage = await getPauseStorage();
+    expect(storage.pauseDelayChange).toBeNull();
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("pausing protected rules requires the master PIN", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-pause-pin-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+    await addRule(popup, "domain", "localhost", { requiresMasterPin: true });
+    await waitForRuleCount(popup, 2);
+    await lowerPauseDelay(popup, 0);
+
+    await popup.click("#settings-toggle");
+    await popup.check("#pause-include-protected");
+    await fillOtp(popup, "pause", "000000");
+    await popup.click("#pause-start");
+    await expect(popup.locator("#pause-message")).toContainText("Enter the master PIN");
+    await waitForRuleCount(popup, 2);
+
+    // The background checks the PIN, and undoes pauses it did not start.
+    const direct = await popup.evaluate(() =>
+      chrome.runtime.sendMessage({ type: "pause/start", minutes: 5, includesProtected: true, pin: "000000" })
+    );
+    expect(direct).toMatchObject({ ok: false, pinRequired: true });
+    await popup.evaluate(() =>
+      chrome.storage.local.set({
+        pauseState: { until: new Date(Date.now() + 5 * 60_000).toISOString(), includesProtected: true }
+      })
+    );
+    await expect
+      .poll(() => popup.evaluate(async () => (await chrome.storage.local.get("pauseState")).pauseState))
+      .toBeNull();
+    await waitForRuleCount(popup, 2);
+
+    await fillOtp(popup, "pause", "123456");
+    await popup.click("#pause-start");
+    await expect(popup.locator("#pause-banner")).toContainText("Blocking paused for all rules");
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("typing challenge must be typed exactly before a rule can be removed", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-typing-challenge-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { unblockChallenge: "typing" });
+    await waitForRuleCount(popup, 2);
+    expect(await getStoredRuleEntry(popup, "domain", "localhost")).toMatchObject({
+      unblockChallenge: { type: "typing" }
+    });
+
+    const direct = await popup.evaluate(() =>
+      chrome.runtime.sendMessage({ type: "entries/remove", entryKey: "domain:localhost" })
+    );
+    expect(direct).toMatchObject({ ok: false, challengeRequired: true });
+
+    await expandRuleByValue(popup, "localhost");
+    await popup.click(".entry-item__remove");
+    await expect(popup.locator("#pin-modal-title")).toHaveText("Unblock Challenge");
+    await expect(popup.locator("#remove-pin-inputs")).toBeHidden();
+    const passage = await popup.locator("#challenge-passage").textContent();
+    expect(passage.split(" ")).toHaveLength(40);
+
+    await popup.fill("#challenge-answer", passage.toUpperCase());
+    await popup.click("#pin-confirm");
+    await expect(popup.locator("#pin-modal-message")).toContainText("exactly as shown");
+    await waitForRuleCount(popup, 2);
+
+    await popup.fill("#challenge-answer", passage);
+    await popup.click("#pin-confirm");
+    await expect(popup.locator("#pin-modal")).toBeHidden();
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("countdown challenge gates removal and lets a pause include challenge rules", async () => {
+  test.setTimeout(120_000);
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-countdown-challenge-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { unblockChallenge: "countdown", countdownSeconds: 5 });
+    await waitForRuleCount(popup, 2);
+    await lowerPauseDelay(popup, 0);
+
+    // A plain pause leaves the challenge rule blocking.
+    await popup.click("#settings-toggle");
+    await popup.click("#pause-start");
+    await expect(popup.locator("#pause-banner")).toContainText("unprotected rules");
+    await waitForRuleCount(popup, 2);
+    await popup.click("#pause-resume");
+
+    await popup.check("#pause-include-challenged");
+    await popup.click("#pause-start");
+    await expect(popup.locator("#challenge-countdown")).toContainText("Confirm unlocks in");
+    await expect(popup.locator("#pin-confirm")).toBeDisabled();
+    await expect(popup.locator("#pin-confirm")).toBeEnabled({ timeout: 10_000 });
+    await popup.click("#pin-confirm");
+    await expect(popup.locator("#pause-banner")).toContainText("all rules except PIN-protected ones");
+    await waitForRuleCount(popup, 0);
+
+    await popup.click("#pause-resume");
+    await waitForRuleCount(popup, 2);
+    await popup.click("#settings-close");
+
+    await expandRuleByValue(popup, "localhost");
+    await popup.click(".entry-item__remove");
+    await expect(popup.locator("#pin-confirm")).toBeDisabled();
+    await expect(popup.locator("#pin-confirm")).toBeEnabled({ timeout: 10_000 });
+    await popup.click("#pin-confirm");
+    await waitForRuleCount(popup, 0);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("commitment lock keeps a rule from being removed, weakened, overridden or paused", async () => {
+  test.setTimeout(120_000);
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-commitment-lock-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+    const recoveryCodes = await popup.locator("#recovery-codes li").allTextContents();
+
+    // datetime-local takes local wall-clock time without a zone.
+    const lockEnd = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    const pad = (number) => String(number).padStart(2, "0");
+    const lockedUntil =
+      `${lockEnd.getFullYear()}-${pad(lockEnd.getMonth() + 1)}-${pad(lockEnd.getDate())}` +
+      `T${pad(lockEnd.getHours())}:${pad(lockEnd.getMinutes())}`;
+    await addRule(popup, "domain", "localhost", { requiresMasterPin: true, lockedUntil });
+    await waitForRuleCount(popup, 2);
+
+    await expect(popup.locator(".entry-chip__badge--locked")).toContainText("🔒 2d");
+    await expandRuleByValue(popup, "localhost");
+    await expect(popup.locator(".entry-item__remove")).toBeDisabled();
+
+    const results = await popup.evaluate(async (recoveryCode) => {
+      const send = (message) => chrome.runtime.sendMessage(message);
+      const { blockedEntries } = await chrome.storage.local.get("blockedEntries");
+      const entry = blockedEntries[0];
+      return {
+        withPin: await send({ type: "entries/remove", entryKey: "domain:localhost", pin: "123456" }),
+        withCode: await send({ type: "entries/remove", entryKey: "domain:localhost", recoveryCode }),
+        shorten: await send({
+          type: "entries/update",
+          entryKey: "domain:localhost",
+          entry: { ...entry, lockedUntil: new Date(Date.now() + 60_000).toISOString() },
+          pin: "123456"
+        }),
+        schedule: await send({
+          type: "entries/update",
+          entryKey: "domain:localhost",
+          entry: { ...entry, schedule: "Daily 03:00-03:01" },
+          pin: "123456"
+        }),
+        reAdd: await send({
+          type: "entries/add",
+          entry: { type: "domain", value: "localhost", action: "block", dailyBudgetMinutes: 1440 },
+          pin: "123456"
+        }),
+        allow: await send({
+          type: "entries/add",
+          entry: { type: "pattern", value: "*://localhost/*", action: "allow" },
+          pin: "123456"
+        })
+      };
+    }, recoveryCodes[0]);
+    expect(results.withPin).toEqual({ ok: false, error: expect.stringContaining("locked until") });
+    expect(results.withCode).toEqual({ ok: false, error: expect.stringContaining("locked until") });
+    expect(results.shorten).toEqual({ ok: false, error: expect.stringContaining("locked until") });
+    expect(results.schedule).toEqual({ ok: false, error: expect.stringContaining("locked until") });
+    expect(results.allow).toEqual({ ok: false, error: expect.stringContaining("locked until") });
+    expect(results.reAdd.ok).toBe(true);
+    const lockedEntry = await getStoredRuleEntry(popup, "domain", "localhost");
+    expect(lockedEntry.schedule).toBeUndefined();
+    expect(lockedEntry.dailyBudgetMinutes).toBeUndefined();
+
+    const getStoredLocks = () =>
+      popup.evaluate(async () => {
+        const { blockedEntries } = await chrome.storage.local.get("blockedEntries");
+        return blockedEntries.map((entry) => `${entry.value} ${Boolean(entry.lockedUntil)}`);
+      });
+    await popup.evaluate(() => chrome.storage.local.set({ blockedEntries: [] }));
+    await expect.poll(getStoredLocks).toEqual(["localhost true"]);
+
+    // An allow exception written straight to storage is dropped again.
+    await popup.evaluate(async () => {
+      const { blockedEntries } = await chrome.storage.local.get("blockedEntries");
+      const allowEntry = { type: "pattern", value: "*://*.localhost/*", action: "allow" };
+      await chrome.storage.local.set({ blockedEntries: [...blockedEntries, allowEntry] });
+    });
+    await expect.poll(getStoredLocks).toEqual(["localhost true"]);
+
+    // A PIN-approved pause lifts the open rule but not the locked one.
+    await addRule(popup, "keyword", "casino");
+    await waitForRuleCount(popup, 4);
+    await lowerPauseDelay(popup, 0);
+    const pauseResponse = await popup.evaluate(() =>
+      chrome.runtime.sendMessage({
+        type: "pause/start",
+        minutes: 5,
+        includesProtected: true,
+        pin: "123456"
+      })
+    );
+    expect(pauseResponse).toMatchObject({ ok: true, status: "paused" });
+    await waitForRuleCount(popup, 2);
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/locked`);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("regex rule blocks matching URLs and rejects regexes DNR cannot run", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-regex-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "regex", "^https?://(?!localhost)[^/]+/(?:.*)$");
+    await expect(popup.locator("#message")).toContainText("outside RE2");
+    await waitForRuleCount(popup, 0);
+
+    await addRule(popup, "regex", "^http://localhost:[0-9]+/regex-(yes|also)");
+    await expect(popup.locator("#message")).toContainText("Rule added.");
+    await waitForRuleCount(popup, 2);
+
+    const storedEntry = await getStoredRuleEntry(popup, "regex", "^http://localhost:[0-9]+/regex-(yes|also)");
+    expect(storedEntry?.type).toBe("regex");
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/regex-yes`);
+
+    const response = await page.goto(`http://localhost:${serverPort}/regex-no`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("keyword rule blocks any URL containing the word and logs under its key", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-keyword-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "keyword", "Casino");
+    await waitForRuleCount(popup, 2);
+
+    const storedEntry = await getStoredRuleEntry(popup, "keyword", "casino");
+    expect(storedEntry?.caseSensitive).toBeUndefined();
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/promo/CASINO-night`);
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/?ref=casino`);
+    await waitForLogHit(popup, "keyword:casino", "localhost");
+
+    const response = await page.goto(`http://localhost:${serverPort}/cards`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(response?.status()).toBe(200);
+
+    await addRule(popup, "keyword", "/Shorts/", { caseSensitive: true });
+    await waitForRuleCount(popup, 4);
+    await expectBlocked(page, `http://localhost:${serverPort}/Shorts/abc`);
+
+    const lowercaseResponse = await page.goto(`http://localhost:${serverPort}/shorts/abc`, {
+      waitUntil: "domcontentloaded"
+    });
+    expect(lowercaseResponse?.status()).toBe(200);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("simple patterns compile to urlFilter and the popup reports rule budgets", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-url-filter-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "pattern", "*://127.0.0.1/*");
+    await waitForRuleCount(popup, 2);
+
+    const filters = await popup.evaluate(async () => {
+      const rules = await chrome.declarativeNetRequest.getDynamicRules();
+      return rules.map((rule) => rule.condition.urlFilter ?? `regex:${rule.condition.regexFilter}`);
+    });
+    // Only the block page redirect needs a regex, to pass the blocked URL along.
+    expect(filters).toEqual(["regex:^.*(?:^.*://127\\.0\\.0\\.1(?::[0-9]+)?/.*$).*$", "://127.0.0.1^"]);
+    const capacity = popup.locator("#rule-capacity");
+    await expect(capacity).toContainText("Chrome rules in use: 2 / 5000");
+    await expect(capacity).toContainText("regex: 1 / 1000 (1 for block page redirects)");
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/url-filter`);
+
+    // A path after a port-less host needs the regex form to keep accepting any port.
+    await addRule(popup, "pattern", "*://localhost/deep/*");
+    await waitForRuleCount(popup, 4);
+    await expect(capacity).toContainText("regex: 3 / 1000");
+    await expectBlocked(page, `http://localhost:${serverPort}/deep/page`);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("domain rules share requestDomains and overflow spills into session rules", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-capacity-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost");
+    await addRule(popup, "domain", "example.com");
+    await waitForRuleCount(popup, 2);
+
+    const requestDomains = await popup.evaluate(async () => {
+      const rules = await chrome.declarativeNetRequest.getDynamicRules();
+      return rules.map((rule) => rule.condition.requestDomains);
+    });
+    expect(requestDomains).toEqual([
+      ["localhost", "example.com"],
+      ["localhost", "example.com"]
+    ]);
+    const capacity = popup.locator("#rule-capacity");
+    await expect(capacity).toContainText("regex: 1 / 1000 (1 for block page redirects)");
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/merged`);
+    await waitForLogHit(popup, "domain:localhost", "localhost");
+
+    // 2500 urlFilter patterns fill the dynamic set; regex rules then go to session
+    // rules until the regex cap, and the last regex entry cannot be enforced.
+    await popup.evaluate(async () => {
+      const entries = [];
+      for (let index = 0; index < 2500; index += 1) {
+        entries.push({ type: "pattern", value: `*://site-${index}.test/*` });
+      }
+      for (let index = 0; index < 501; index += 1) {
+        entries.push({ type: "regex", value: `^https://regex-${index}\\.test/` });
+      }
+      await chrome.storage.local.set({ blockedEntries: entries });
+    });
+    await waitForRuleCount(popup, 5000, 30_000);
+
+    await expect
+      .poll(
+        () =>
+          popup.evaluate(async () => {
+            const { ruleStatus } = await chrome.storage.local.get("ruleStatus");
+            return ruleStatus;
+          }),
+        { timeout: 30_000 }
+      )
+      .toEqual({
+        dynamicRuleCount: 5000,
+        sessionRuleCount: 1000,
+        unenforced: { "regex:^https://regex-500\\.test/": "regex-limit" },
+        errors: {}
+      });
+
+    await expect(popup.locator("#rule-capacity")).toContainText("5000 / 5000 (+1000 session)");
+    const unenforcedChip = popup.locator(".entry-chip", { hasText: "regex-500" });
+    await expect(unenforcedChip).toContainText("Not enforced");
+    await unenforcedChip.click();
+    await expect(popup.locator("#entry-details")).toContainText("regex rule limit is full");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("rule IDs stay stable per entry while other rules change", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-stable-ids-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    const getRuleIds = () =>
+      popup.evaluate(async () => {
+        const rules = await chrome.declarativeNetRequest.getDynamicRules();
+        return rules.map((rule) => rule.id).sort((a, b) => a - b);
+      });
+
+    await addRule(popup, "pattern", "*://127.0.0.1/*");
+    await waitForRuleCount(popup, 2);
+    const patternIds = await getRuleIds();
+
+    await addRule(popup, "keyword", "casino", { group: "Evening" });
+    await waitForRuleCount(popup, 4);
+    const allIds = await getRuleIds();
+    expect(allIds.slice(0, 2)).toEqual(patternIds);
+
+    // Removing the older rule leaves the newer one's IDs alone and never reuses freed IDs.
+    await expandRuleByValue(popup, "127.0.0.1");
+    await popup.click(".entry-item__remove");
+    await waitForRuleCount(popup, 2);
+    expect(await getRuleIds()).toEqual(allIds.slice(2));
+
+    await addRule(popup, "pattern", "*://127.0.0.1/*");
+    await waitForRuleCount(popup, 4);
+    const readdedIds = (await getRuleIds()).slice(2);
+    expect(readdedIds.every((id) => id > Math.max(...allIds))).toBe(true);
+
+    const ruleMap = await popup.evaluate(async () => {
+      const { ruleIdToEntryKey } = await chrome.storage.local.get("ruleIdToEntryKey");
+      return ruleIdToEntryKey;
+    });
+    expect(ruleMap[String(allIds[2])]).toBe("keyword:casino");
+    expect(ruleMap[String(readdedIds[0])]).toBe("pattern:*://127.0.0.1/*");
+
+    // A rule switched off with its group comes back under the same IDs.
+    const groupChip = popup.locator("[data-role='toggle-group']");
+    await groupChip.click();
+    await expect(popup.locator("#group-message")).toContainText("Evening turned off.");
+    await waitForRuleCount(popup, 2);
+    await groupChip.click();
+    await expect(popup.locator("#group-message")).toContainText("Evening turned on.");
+    await waitForRuleCount(popup, 4);
+    expect((await getRuleIds()).slice(0, 2)).toEqual(allIds.slice(2));
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("a rule Chrome rejects is flagged without blocking the other rules", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-invalid-rule-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    // Lookbehind is valid in JavaScript but outside RE2, so only Chrome rejects it.
+    await popup.evaluate(async () => {
+      await chrome.storage.local.set({
+        blockedEntries: [
+          { type: "regex", value: "(?<=tracker)\\.example/" },
+          { type: "domain", value: "localhost" }
+        ]
+      });
+    });
+    await waitForRuleCount(popup, 2);
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/still-blocked`);
+
+    await expect
+      .poll(async () =>
+        popup.evaluate(async () => {
+          const { ruleStatus } = await chrome.storage.local.get("ruleStatus");
+          return Object.keys(ruleStatus?.errors ?? {});
+        })
+      )
+      .toEqual(["regex:(?<=tracker)\\.example/"]);
+
+    const errorChip = popup.locator(".entry-chip", { hasText: "tracker" });
+    await expect(errorChip).toContainText("Error");
+    await errorChip.click();
+    await expect(popup.locator("#entry-details")).toContainText("Chrome rejected this rule");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("background entry commands apply concurrent edits atomically", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-commands-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await setMasterPin(popup, "123456");
+
+    const responses = await popup.evaluate(async () => {
+      const adds = Array.from({ length: 20 }, (_, index) =>
+        chrome.runtime.sendMessage({
+          type: "entries/add",
+          entry: { type: "pattern", value: `*://site-${index}.test/*`, action: "block" }
+        })
+      );
+      const protectedAdd = chrome.runtime.sendMessage({
+        type: "entries/add",
+        entry: { type: "domain", value: "localhost", action: "block", requiresMasterPin: true }
+      });
+      return Promise.all([...adds, protectedAdd]);
+    });
+    expect(responses.every((response) => response.ok && response.status === "added")).toBe(true);
+
+    const storedCount = await popup.evaluate(async () => {
+      const { blockedEntries } = await chrome.storage.local.get("blockedEntries");
+      return blockedEntries.length;
+    });
+    expect(storedCount).toBe(21);
+
+    const results = await popup.evaluate(async () => {
+      const send = (message) => chrome.runtime.sendMessage(message);
+      return {
+        withoutPin: await send({ type: "entries/remove", entryKey: "domain:localhost" }),
+        scheduledAdd: await send({
+          type: "entries/add",
+          entry: { type: "domain", value: "localhost", action: "block", schedule: "Daily 03:00-03:01" }
+        }),
+        budgetAdd: await send({
+          type: "entries/add",
+          entry: { type: "domain", value: "localhost", action: "block", dailyBudgetMinutes: 1440 }
+        }),
+        timedAdd: await send({
+          type: "entries/add",
+          entry: { type: "keyword", value: "casino", action: "block", expiresAt: "2098-01-01T00:00:00.000Z" }
+        }),
+        extend: await send({
+          type: "entries/extend",
+          entryKey: "keyword:casino",
+          expiresAt: "2099-01-01T00:00:00.000Z"
+        }),
+        shorten: await send({
+          type: "entries/extend",
+          entryKey: "keyword:casino",
+          expiresAt: "2097-01-01T00:00:00.000Z"
+        }),
+        withPin: await send({ type: "entries/remove", entryKey: "domain:localhost", pin: "123456" }),
+        missing: await send({ type: "entries/remove", entryKey: "domain:localhost" }),
+        verify: await send({ type: "pin/verify", pin: "000000" })
+      };
+    });
+    expect(results.withoutPin).toEqual({ ok: false, error: expect.stringContaining("6-digit PIN") });
+    expect(results.scheduledAdd).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.budgetAdd).toMatchObject({ ok: false, pinRequired: true });
+    expect(results.timedAdd.ok).toBe(true);
+    expect(results.extend.entry.expiresAt).toBe("2099-01-01T00:00:00.000Z");
+    expect(results.shorten.entry.expiresAt).toBe("2099-01-01T00:00:00.000Z");
+    expect(results.withPin.status).toBe("removed");
+    expect(results.missing).toEqual({ ok: false, error: "Rule not found." });
+    expect(results.verify).toMatchObject({ ok: true, valid: false });
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("direct storage writes cannot drop or weaken protected rules", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-tamper-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    const getStoredEntries = () =>
+      popup.evaluate(async () => {
+        const { blockedEntries } = await chrome.storage.local.get("blockedEntries");
+        return blockedEntries;
+      });
+
+    await setMasterPin(popup, "123456");
+    await addRule(popup, "domain", "localhost", { requiresMasterPin: true });
+    await addRule(popup, "keyword", "casino");
+    await waitForRuleCount(popup, 4);
+
+    // Wiping the list keeps only the protected rule; the open one may go.
+    await popup.evaluate(() => chrome.storage.local.set({ blockedEntries: [] }));
+    await expect.poll(getStoredEntries).toEqual([
+      expect.objectContaining({ type: "domain", value: "localhost", requiresMasterPin: true })
+    ]);
+    await waitForRuleCount(popup, 2);
+
+    await popup.evaluate(() =>
+      chrome.storage.local.set({ blockedEntries: [{ type: "domain", value: "localhost", action: "block" }] })
+    );
+    await expect
+      .poll(async () => (await getStoredEntries())[0]?.requiresMasterPin)
+      .toBe(true);
+
+    await expect
+      .poll(() =>
+        popup.evaluate(async () => {
+          const { tamperLog = [] } = await chrome.storage.local.get("tamperLog");
+          return tamperLog.map(({ entryKey, reason }) => `${entryKey} ${reason}`);
+        })
+      )
+      .toEqual(["domain:localhost unprotected", "domain:localhost removed"]);
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/tampered`);
+
+    await popup.click("#settings-toggle");
+    await expect(popup.locator("#tamper-status")).toContainText("Undid 2 unauthorized change(s)");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("blocked page shows the blocked URL, matching rule, countdown and today's count", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-block-details-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { durationPreset: "1h" });
+    await addRule(popup, "keyword", "casino");
+    await waitForRuleCount(popup, 4);
+
+    // The blocked URL rides in the fragment, query string and all.
+    const blockedUrl = `http://localhost:${serverPort}/details?tab=1&sort=new`;
+    const page = await context.newPage();
+    await expectBlocked(page, blockedUrl);
+    expect(new URL(page.url()).hash).toBe(`#${blockedUrl}`);
+    await expect(page.locator("#blocked-site")).toHaveText(blockedUrl);
+    await expect(page.locator("#blocked-rule")).toHaveText("domain localhost");
+    await expect(page.locator("#blocked-countdown")).toHaveText(/^in 0[01]:[0-5]\d:[0-5]\d$/);
+
+    await waitForLogHit(popup, "domain:localhost", "localhost");
+    await expectBlocked(page, `http://localhost:${serverPort}/details-again`);
+    await expect(page.locator("#blocked-count")).toHaveText(/^Blocked [1-9]\d* times? today$/);
+
+    // Keyword rules match with urlFilter, but their page redirect still passes the URL.
+    const keywordUrl = `http://127.0.0.1:${serverPort}/casino`;
+    await expectBlocked(page, keywordUrl);
+    await expect(page).toHaveURL(/\/blocked\.html\?rule=keyword%3Acasino#http:/);
+    await expect(page.locator("#blocked-rule")).toHaveText("keyword casino");
+    await expect(page.locator("#blocked-countdown")).toHaveText("No end time");
+    await expect(page.locator("#blocked-site")).toHaveText(keywordUrl);
+    await expect(page.locator("#continue-anyway")).toBeVisible();
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("continue anyway opens a blocked site for a few minutes after a countdown", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-bypass-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost");
+    await addRule(popup, "domain", "127.0.0.1", { unblockChallenge: "typing" });
+    await waitForRuleCount(popup, 2);
+
+    // Rules behind a challenge (or PIN, or lock) offer no way through.
+    const page = await context.newPage();
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/protected`);
+    await expect(page.locator("#blocked-rule")).toHaveText("domain 127.0.0.1");
+    await expect(page.locator("#continue-anyway")).toBeHidden();
+    const refused = await popup.evaluate(
+      (url) => chrome.runtime.sendMessage({ type: "bypass/start", url }),
+      `http://127.0.0.1:${serverPort}/protected`
+    );
+    expect(refused).toEqual({ ok: false, error: "Protected and locked rules cannot be bypassed." });
+
+    const blockedUrl = `http://localhost:${serverPort}/bypass?from=test`;
+    await expectBlocked(page, blockedUrl);
+    await page.click("#continue-anyway");
+    await page.fill("#bypass-reason", "Reading the deploy docs");
+    await expect(page.locator("#bypass-status")).toContainText("You can continue in");
+    await expect(page.locator("#bypass-confirm")).toBeDisabled();
+    await expect(page.locator("#bypass-confirm")).toBeEnabled({ timeout: 20_000 });
+    await page.click("#bypass-confirm");
+
+    await expect(page).toHaveURL(blockedUrl);
+    await expect(page.locator("h1")).toHaveText("ok:/bypass?from=test");
+
+    // Only localhost itself is opened, not its subdomains.
+    const sessionRules = await popup.evaluate(() => chrome.declarativeNetRequest.getSessionRules());
+    expect(sessionRules.map((rule) => [rule.action.type, rule.condition.urlFilter])).toEqual([
+      ["allowAllRequests", "|http://localhost^"],
+      ["allowAllRequests", "|https://localhost^"]
+    ]);
+
+    // A protected keyword could match any page on the site, so the site can no longer be bypassed.
+    await addRule(popup, "keyword", "deploy-secrets", { unblockChallenge: "typing" });
+    await waitForRuleCount(popup, 4);
+    const refusedKeyword = await popup.evaluate(
+      (url) => chrome.runtime.sendMessage({ type: "bypass/start", url }),
+      blockedUrl
+    );
+    expect(refusedKeyword).toEqual({ ok: false, error: "Protected and locked rules cannot be bypassed." });
+
+    await popup.click("#settings-toggle");
+    await expect(popup.locator("#bypass-log li")).toHaveCount(1);
+    await expect(popup.locator("#bypass-log li")).toContainText('localhost · "Reading the deploy docs"');
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("interstitial asks for an intention, waits, then opens the site for that tab", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-interstitial-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", { action: "interstitial", interstitialSeconds: 3 });
+    await waitForRuleCount(popup, 1);
+
+    const blockedUrl = `http://localhost:${serverPort}/mindful?q=1`;
+    const page = await context.newPage();
+    await page.goto(blockedUrl, { waitUntil: "domcontentloaded" });
+    await expect(page).toHaveURL(/\/blocked\.html\?mode=interstitial#http:/);
+    await expect(page.locator("#blocked-title")).toHaveText("What are you here to do?");
+    await expect(page.locator("#continue-anyway")).toBeHidden();
+    await expect(page.locator("#intention-status")).toContainText("You can continue in");
+    await expect(page.locator("#intention-continue")).toBeEnabled({ timeout: 10_000 });
+
+    // The intention is required.
+    await page.click("#intention-continue");
+    await expect(page).toHaveURL(/\/blocked\.html/);
+    await page.fill("#intention-input", "Reply to the team thread");
+    await page.click("#intention-continue");
+    await expect(page).toHaveURL(blockedUrl);
+    await expect(page.locator("h1")).toHaveText("ok:/mindful?q=1");
+
+    // The pass belongs to that tab; other tabs are asked again.
+    await page.goto(`http://localhost:${serverPort}/mindful-again`);
+    await expect(page.locator("h1")).toHaveText("ok:/mindful-again");
+    const otherPage = await context.newPage();
+    await otherPage.goto(blockedUrl, { waitUntil: "domcontentloaded" });
+    await expect(otherPage.locator("#blocked-title")).toHaveText("What are you here to do?");
+
+    await expandRuleByValue(popup, "localhost");
+    const details = popup.locator(".entry-details__panel");
+    await expect(details).toContainText("Behavior: ask for an intention and wait 3s");
+    await expect(details).toContainText('"Reply to the team thread" (localhost)');
+
+    // Behind a challenge, the rule cannot be made an exception or wait less.
+    const results = await popup.evaluate(async () => {
+      const send = (message) => chrome.runtime.sendMessage(message);
+      const entry = {
+        type: "domain",
+        value: "127.0.0.1",
+        action: "interstitial",
+        interstitialSeconds: 30,
+        unblockChallenge: { type: "typing" }
+      };
+      await send({ type: "entries/add", entry });
+      const update = (changes) =>
+        send({ type: "entries/update", entryKey: "domain:127.0.0.1", entry: { ...entry, ...changes } });
+      return {
+        toAllow: await update({ action: "allow" }),
+        shorter: await update({ interstitialSeconds: 5 }),
+        longer: await update({ interstitialSeconds: 60 })
+      };
+    });
+    expect(results.toAllow).toMatchObject({ ok: false, challengeRequired: true });
+    expect(results.shorter).toMatchObject({ ok: false, challengeRequired: true });
+    expect(results.longer).toMatchObject({ ok: true, status: "updated" });
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("block page uses the user's messages, alternatives, theme and per-rule message", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-block-page-settings-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await popup.click("#settings-toggle");
+    await expect(popup.locator("#block-page-messages")).toHaveValue(/Focus mode is still on duty\./);
+    await popup.fill("#block-page-messages", "Back to the roadmap.\n\n");
+    await popup.selectOption("#block-page-theme", "dark");
+    await popup.fill("#block-page-accent", "#12a150");
+    await popup.click("#save-block-page");
+    await expect(popup.locator("#block-page-message")).toContainText("Block page saved.");
+
+    await popup.fill("#alternative-url", "javascript:alert(1)");
+    await popup.click("#alternative-add");
+    await expect(popup.locator("#alternative-message")).toContainText("Enter an http(s) link");
+    await popup.fill("#alternative-label", "Read the design doc");
+    await popup.fill("#alternative-url", `http://127.0.0.1:${serverPort}/design-doc`);
+    await popup.click("#alternative-add");
+    await popup.fill("#alternative-url", `http://127.0.0.1:${serverPort}/inbox`);
+    await popup.click("#alternative-add");
+    await expect(popup.locator("#alternative-list li")).toHaveCount(2);
+    await popup.locator("#alternative-list li", { hasText: "127.0.0.1" }).getByRole("button").click();
+    await expect(popup.locator("#alternative-list li")).toHaveText(["Read the design docRemove"]);
+    await popup.click("#settings-close");
+
+    await addRule(popup, "domain", "localhost", { blockMessage: "You promised the team the PR by 5pm" });
+    await addRule(popup, "keyword", "casino");
+    await waitForRuleCount(popup, 4);
+    await expandRuleByValue(popup, "localhost");
+    await expect(popup.locator(".entry-details__panel")).toContainText(
+      'Block-page message: "You promised the team the PR by 5pm"'
+    );
+
+    const page = await context.newPage();
+    await expectBlocked(page, `http://localhost:${serverPort}/promised`);
+    await expect(page.locator("#fun-message")).toHaveText("You promised the team the PR by 5pm");
+    await expect(page.locator("html")).toHaveAttribute("data-theme", "dark");
+    await expect(page.locator("html")).toHaveAttribute("style", /--accent: #12a150/);
+    await expect(page.locator("#alternative-links a")).toHaveText(["Read the design doc"]);
+
+    await expectBlocked(page, `http://127.0.0.1:${serverPort}/casino`);
+    await expect(page.locator("#fun-message")).toHaveText("Back to the roadmap.");
+    await page.click("#alternative-links a");
+    await expect(page.locator("h1")).toHaveText("ok:/design-doc");
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});
+
+test("redirect rule sends page loads to its target and refuses targets it matches", async () => {
+  const userDataDir = await mkdtemp(path.join(tmpdir(), "site-blocker-redirect-"));
+  const { context, extensionId } = await launchWithExtension(userDataDir);
+
+  try {
+    const popup = await openPopup(context, extensionId);
+    await addRule(popup, "domain", "localhost", {
+      action: "redirect",
+      redirectUrl: `http://localhost:${serverPort}/issues`
+    });
+    await expect(popup.locator("#message")).toHaveText("A rule cannot redirect to a page it matches itself.");
+
+    const targetUrl = `http://127.0.0.1:${serverPort}/issues`;
+    await addRule(popup, "domain", "localhost", { action: "redirect", redirectUrl: targetUrl });
+    await expect(popup.locator("#message")).toHaveText("Rule added.");
+    await waitForRuleCount(popup, 1);
+
+    const rules = await popup.evaluate(() => chrome.declarativeNetRequest.getDynamicRules());
+    expect(rules.map((rule) => [rule.action.redirect, rule.condition.resourceTypes])).toEqual([
+      [{ url: targetUrl }, ["main_frame"]]
+    ]);
+
+    const page = await context.newPage();
+    await page.goto(`http://localhost:${serverPort}/reddit`);
+    await expect(page).toHaveURL(targetUrl);
+    await expect(page.locator("h1")).toHaveText("ok:/issues");
+
+    await expandRuleByValue(popup, "localhost");
+    await expect(popup.locator(".entry-details__panel")).toContainText(`Redirects to: ${targetUrl}`);
+  } finally {
+    await context.close();
+    await rm(userDataDir, { recursive: true, force: true });
+  }
+});